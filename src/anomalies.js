@@ -0,0 +1,159 @@
+import { percentile } from './simulation.js';
+
+export const SEVERITIES = ['error', 'warning', 'off'];
+
+// 0.6745 scales the median absolute deviation to a standard deviation for normal data (Iglewicz and Hoaglin).
+const MAD_SCALE = 0.6745;
+
+export const ANOMALY_RULES = {
+  futureTimestamp: { code: 'FUTURE_TIMESTAMP', severity: 'warning', params: {} },
+  largeAmount: { code: 'AMOUNT_ABOVE_WAGE_SHARE', severity: 'warning', params: { share: 0.5 } },
+  monthlySpend: { code: 'MONTHLY_SPEND_ABOVE_WAGE', severity: 'warning', params: {} },
+  npsHeadroom: { code: 'NPS_HEADROOM_EXCEEDED', severity: 'warning', params: { share: 0.1 } },
+  outlier: { code: 'STATISTICAL_OUTLIER', severity: 'warning', params: { threshold: 3.5, minSamples: 8 } }
+};
+
+export const ANOMALY_CODES = Object.values(ANOMALY_RULES).map((rule) => rule.code);
+
+function ruleError(field, problem, code) {
+  const error = new Error(`${field ? `rules.${field}` : 'rules'} ${problem}`);
+  error.field = field;
+  error.code = code;
+  return error;
+}
+
+function parseParam(name, field, value, fallback) {
+  if (value === undefined) return fallback;
+  if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0) {
+    throw ruleError(field, 'must be a positive number', 'INVALID_NUMBER');
+  }
+  if (name === 'minSamples' && !Number.isInteger(value)) {
+    throw ruleError(field, 'must be a positive integer', 'INVALID_NUMBER');
+  }
+  return name === 'share' && value > 1 ? value / 100 : value;
+}
+
+function parseRule(name, raw) {
+  const defaults = ANOMALY_RULES[name];
+  const spec = typeof raw === 'string' ? { severity: raw } : raw;
+
+  if (typeof spec !== 'object' || spec === null || Array.isArray(spec)) {
+    throw ruleError(name, 'must be a severity or an object', 'INVALID_TYPE');
+  }
+  const severity = spec.severity ?? defaults.severity;
+  if (!SEVERITIES.includes(severity)) {
+    throw ruleError(`${name}.severity`, `must be one of ${SEVERITIES.join(', ')}`, 'INVALID_ENUM');
+  }
+
+  const params = {};
+  for (const key of Object.keys(spec)) {
+    if (key !== 'severity' && !(key in defaults.params)) {
+      throw ruleError(`${name}.${key}`, 'is not a setting of this rule', 'INVALID_ENUM');
+    }
+  }
+  for (const [key, fallback] of Object.entries(defaults.params)) {
+    params[key] = parseParam(key, `${name}.${key}`, spec[key], fallback);
+  }
+
+  return { code: defaults.code, severity, ...params };
+}
+
+// `raw` maps rule names to a severity (`error`, `warning`, `off`) or to `{ severity, ...settings }`.
+export function parseAnomalyRules(raw = {}) {
+  if (typeof raw !== 'object' || raw === null || Array.isArray(raw)) {
+    throw ruleError('', 'must be an object', 'INVALID_TYPE');
+  }
+  for (const name of Object.keys(raw)) {
+    if (!ANOMALY_RULES[name]) {
+      throw ruleError(name, `is not a rule; use ${Object.keys(ANOMALY_RULES).join(', ')}`, 'INVALID_ENUM');
+    }
+  }
+
+  return Object.fromEntries(Object.keys(ANOMALY_RULES).map((name) => [name, parseRule(name, raw[name] ?? {})]));
+}
+
+function scalePaise(paise, share) {
+  return BigInt(Math.round(Number(paise) * share));
+}
+
+function formatShare(share) {
+  return `${Math.round(share * 10000) / 100}%`;
+}
+
+function formatRupees(paise) {
+  return (Number(paise) / 100).toFixed(2);
+}
+
+function outlierCutoff(transactions, { threshold, minSamples }) {
+  if (transactions.length < minSamples) return null;
+
+  const amounts = transactions.map((tx) => Number(tx.amountPaise)).sort((a, b) => a - b);
+  const median = percentile(amounts, 50);
+  const deviations = amounts.map((amount) => Math.abs(amount - median)).sort((a, b) => a - b);
+  const mad = percentile(deviations, 50);
+  return mad === 0 ? null : median + (threshold * mad) / MAD_SCALE;
+}
+
+// Once a month's running total passes the limit, that transaction and every later one in the month is flagged.
+function flagMonthlyExcess(transactions, valueOf, limit, flag) {
+  const totals = new Map();
+
+  for (const tx of transactions) {
+    const month = tx.timestamp.slice(0, 7);
+    const total = (totals.get(month) ?? 0n) + valueOf(tx);
+    totals.set(month, total);
+    if (total > limit) flag(tx, month, total);
+  }
+}
+
+// Returns findings keyed by transaction. Per-transaction rules run first; transactions they reject
+// are left out of the monthly totals, so an error-level rule never double-counts against the next one.
+export function detectAnomalies(transactions, { wagePaise, rules, nowSeconds = Math.floor(Date.now() / 1000) }) {
+  const findings = new Map();
+  const rejected = new Set();
+
+  function report(tx, rule, message) {
+    if (rule.severity === 'off') return;
+    if (!findings.has(tx)) findings.set(tx, []);
+    findings.get(tx).push({ code: rule.code, severity: rule.severity, message });
+    if (rule.severity === 'error') rejected.add(tx);
+  }
+
+  const largeAmountLimit = scalePaise(wagePaise, rules.largeAmount.share);
+  const cutoff = rules.outlier.severity === 'off' ? null : outlierCutoff(transactions, rules.outlier);
+
+  for (const tx of transactions) {
+    if (tx.epochSeconds > nowSeconds) {
+      report(tx, rules.futureTimestamp, 'timestamp is in the future');
+    }
+    if (tx.amountPaise > largeAmountLimit) {
+      report(
+        tx,
+        rules.largeAmount,
+        `amount exceeds ${formatShare(rules.largeAmount.share)} of the monthly wage (${formatRupees(largeAmountLimit)})`
+      );
+    }
+    if (cutoff !== null && Number(tx.amountPaise) > cutoff) {
+      report(tx, rules.outlier, `amount is a statistical outlier (above ${formatRupees(Math.floor(cutoff))})`);
+    }
+  }
+
+  const chronological = () => transactions
+    .filter((tx) => !rejected.has(tx))
+    .sort((a, b) => a.epochSeconds - b.epochSeconds);
+
+  flagMonthlyExcess(chronological(), (tx) => tx.amountPaise, wagePaise, (tx, month, total) => {
+    report(tx, rules.monthlySpend, `spending in ${month} reaches ${formatRupees(total)}, above the monthly wage`);
+  });
+
+  const headroom = scalePaise(wagePaise, rules.npsHeadroom.share);
+  flagMonthlyExcess(chronological(), (tx) => tx.remanentBasePaise, headroom, (tx, month, total) => {
+    report(
+      tx,
+      rules.npsHeadroom,
+      `savings in ${month} reach ${formatRupees(total)}, above the ${formatShare(rules.npsHeadroom.share)} NPS deduction headroom`
+    );
+  });
+
+  return findings;
+}
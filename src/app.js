@@ -1,17 +1,65 @@
 import http from 'node:http';
 import os from 'node:os';
+import zlib from 'node:zlib';
+import { once } from 'node:events';
 import { readFile } from 'node:fs/promises';
+import { finished } from 'node:stream/promises';
+import { StringDecoder } from 'node:string_decoder';
 import {
   ApiError,
   parseTransactions,
+  parseStatement,
   validateTransactions,
   filterTransactions,
-  calculateReturns
+  calculateReturns,
+  calculateSensitivity,
+  calculateGoal,
+  calculateBacktest,
+  compareReturns,
+  createFilterStream
 } from './engine.js';
+import { createLedger } from './ledger.js';
+import { buildOpenApiDocument } from './openapi.js';
 
 const MAX_BODY_BYTES = 100 * 1024 * 1024;
+const MAX_NDJSON_LINE_BYTES = 1024 * 1024;
+const NDJSON_CONTENT_TYPE = 'application/x-ndjson';
+const NDJSON_WRITE_BATCH_BYTES = 64 * 1024;
+// Brotli's default quality (11) is far too slow for streaming large responses.
+const BROTLI_STREAM_QUALITY = 4;
 const UI_FILE_URL = new URL('../public/index.html', import.meta.url);
 const uiHtmlPromise = readFile(UI_FILE_URL, 'utf8');
+const RETURNS_ROUTE_RE = /^\/blackrock\/challenge\/v1\/returns:([a-z0-9-]+)$/;
+const USERS_ROUTE_RE = /^\/blackrock\/challenge\/v1\/users(?:\/([^/]+)(?:\/(transactions|periods|returns)(?:\/([^/]+))?)?)?$/;
+const PROJECTION_QUERY_KEYS = {
+  age: Number,
+  retirementAge: Number,
+  lifeExpectancy: Number,
+  wage: Number,
+  inflation: Number,
+  claimed80C: Number,
+  taxRegime: String,
+  fiscalYear: String,
+  qConflict: String,
+  explain: (value) => value === 'true'
+};
+const STATEMENT_FORMATS = {
+  'text/csv': 'csv',
+  'application/csv': 'csv',
+  'application/x-ofx': 'ofx',
+  'application/ofx': 'ofx'
+};
+const CSV_OPTION_KEYS = [
+  'delimiter',
+  'dateColumn',
+  'dateFormat',
+  'amountColumn',
+  'typeColumn',
+  'debitColumn',
+  'creditColumn',
+  'creditValues',
+  'signedAmounts'
+];
 
 function writeJson(res, statusCode, payload) {
   res.writeHead(statusCode, {
@@ -20,6 +68,11 @@ function writeJson(res, statusCode, payload) {
   res.end(JSON.stringify(payload));
 }
 
+function writeEmpty(res, statusCode) {
+  res.writeHead(statusCode);
+  res.end();
+}
+
 function writeHtml(res, statusCode, html) {
   res.writeHead(statusCode, {
     'content-type': 'text/html; charset=utf-8'
@@ -27,7 +80,7 @@ function writeHtml(res, statusCode, html) {
   res.end(html);
 }
 
-function readJsonBody(req) {
+function readBody(req) {
   return new Promise((resolve, reject) => {
     let received = 0;
     const chunks = [];
@@ -43,21 +96,231 @@ function readJsonBody(req) {
     });
 
     req.on('end', () => {
-      try {
-        const raw = Buffer.concat(chunks).toString('utf-8') || '{}';
-        resolve(JSON.parse(raw));
-      } catch {
-        reject(new ApiError(400, 'Invalid JSON payload'));
-      }
+      resolve(Buffer.concat(chunks).toString('utf-8'));
     });
 
     req.on('error', (err) => reject(new ApiError(400, err.message)));
   });
 }
 
-function getPath(req) {
-  const url = new URL(req.url, 'http://localhost');
-  return url.pathname;
+async function readJsonBody(req) {
+  const raw = (await readBody(req)) || '{}';
+  try {
+    return JSON.parse(raw);
+  } catch {
+    throw new ApiError(400, 'Invalid JSON payload', { code: 'INVALID_JSON' });
+  }
+}
+
+function assertLineSize(line) {
+  // UTF-8 needs at most 3 bytes per UTF-16 unit, so short lines skip the byte count.
+  if (line.length * 3 > MAX_NDJSON_LINE_BYTES && Buffer.byteLength(line) > MAX_NDJSON_LINE_BYTES) {
+    throw new ApiError(413, `NDJSON line exceeds ${MAX_NDJSON_LINE_BYTES} bytes`);
+  }
+}
+
+async function* readLines(req) {
+  const decoder = new StringDecoder('utf8');
+  let buffered = '';
+  let received = 0;
+
+  for await (const chunk of req) {
+    received += chunk.length;
+    if (received > MAX_BODY_BYTES) {
+      throw new ApiError(413, `Payload exceeds ${MAX_BODY_BYTES} bytes`);
+    }
+    buffered += decoder.write(chunk);
+
+    let start = 0;
+    let newline;
+    while ((newline = buffered.indexOf('\n', start)) !== -1) {
+      const line = buffered.slice(start, newline);
+      assertLineSize(line);
+      yield line;
+      start = newline + 1;
+    }
+    buffered = buffered.slice(start);
+    assertLineSize(buffered);
+  }
+
+  buffered += decoder.end();
+  if (buffered) {
+    assertLineSize(buffered);
+    yield buffered;
+  }
+}
+
+function negotiateEncoding(req) {
+  const accepted = new Set();
+  for (const part of (req.headers['accept-encoding'] ?? '').split(',')) {
+    const [name, ...params] = part.trim().toLowerCase().split(';');
+    const rejected = params.some((param) => /^q=0(?:\.0*)?$/.test(param.trim()));
+    if (name && !rejected) accepted.add(name);
+  }
+
+  if (accepted.has('br')) return 'br';
+  if (accepted.has('gzip')) return 'gzip';
+  return 'identity';
+}
+
+// The status line goes out with the first batch, so errors raised before then still get a JSON response.
+function createNdjsonWriter(req, res) {
+  let out = null;
+  let batch = '';
+
+  function start() {
+    const encoding = negotiateEncoding(req);
+    const headers = { 'content-type': `${NDJSON_CONTENT_TYPE}; charset=utf-8`, vary: 'accept-encoding' };
+    if (encoding !== 'identity') {
+      headers['content-encoding'] = encoding;
+    }
+    res.writeHead(200, headers);
+
+    out = res;
+    if (encoding !== 'identity') {
+      out = encoding === 'br'
+        ? zlib.createBrotliCompress({ params: { [zlib.constants.BROTLI_PARAM_QUALITY]: BROTLI_STREAM_QUALITY } })
+        : zlib.createGzip();
+      out.pipe(res);
+    }
+  }
+
+  return {
+    async write(records) {
+      for (const record of records) {
+        batch += `${JSON.stringify(record)}\n`;
+        if (batch.length >= NDJSON_WRITE_BATCH_BYTES) {
+          if (!out) start();
+          const flushed = out.write(batch);
+          batch = '';
+          if (!flushed) {
+            await once(out, 'drain');
+          }
+        }
+      }
+    },
+
+    async end() {
+      if (!out) start();
+      out.end(batch);
+      await finished(res);
+    }
+  };
+}
+
+// Results are written while the body is still arriving; reading waits whenever the response has to drain.
+async function streamFilter(req, res) {
+  const writer = createNdjsonWriter(req, res);
+  let stream = null;
+  let lineNumber = 0;
+
+  for await (const rawLine of readLines(req)) {
+    lineNumber += 1;
+    const line = rawLine.trim();
+    if (!line) continue;
+
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch {
+      if (!stream) {
+        throw new ApiError(400, `line ${lineNumber}: header record is not valid JSON`, { code: 'INVALID_JSON' });
+      }
+      await writer.write(stream.addUnparseable(line, `line ${lineNumber} is not valid JSON`));
+      continue;
+    }
+
+    if (stream) {
+      await writer.write(stream.add(record));
+    } else {
+      stream = createFilterStream(record);
+    }
+  }
+
+  if (!stream) {
+    throw new ApiError(400, 'NDJSON body must start with a header record', { code: 'REQUIRED' });
+  }
+
+  await writer.write(stream.finish());
+  await writer.end();
+}
+
+function getUrl(req) {
+  return new URL(req.url, 'http://localhost');
+}
+
+function getContentType(req) {
+  return (req.headers['content-type'] ?? '').split(';')[0].trim().toLowerCase();
+}
+
+function roundingFromQuery(searchParams) {
+  const rounding = {};
+  if (searchParams.has('roundingMultiple')) rounding.multiple = Number(searchParams.get('roundingMultiple'));
+  if (searchParams.has('roundingMultiplier')) rounding.multiplier = Number(searchParams.get('roundingMultiplier'));
+  if (searchParams.has('minRemanent')) rounding.minRemanent = searchParams.get('minRemanent');
+  if (searchParams.has('maxRemanent')) rounding.maxRemanent = searchParams.get('maxRemanent');
+  if (searchParams.has('skipExactMultiples')) {
+    rounding.skipExactMultiples = searchParams.get('skipExactMultiples') === 'true';
+  }
+  return Object.keys(rounding).length > 0 ? rounding : null;
+}
+
+// `?explain=true` is shorthand for `"explain": true` in the body.
+function withExplainFromQuery(payload, searchParams) {
+  if (!searchParams.has('explain') || typeof payload !== 'object' || payload === null || Array.isArray(payload)) {
+    return payload;
+  }
+  return { ...payload, explain: searchParams.get('explain') === 'true' };
+}
+
+function csvOptionsFromQuery(searchParams) {
+  const options = {};
+  for (const key of CSV_OPTION_KEYS) {
+    if (searchParams.has(key)) {
+      options[key] = searchParams.get(key);
+    }
+  }
+  return options;
+}
+
+function projectionOverridesFromQuery(searchParams) {
+  const overrides = {};
+  for (const [key, parse] of Object.entries(PROJECTION_QUERY_KEYS)) {
+    if (searchParams.has(key)) {
+      overrides[key] = parse(searchParams.get(key));
+    }
+  }
+  return overrides;
+}
+
+async function routeUsers(ledger, req, url, match) {
+  const [, userId, collection, entryId] = match;
+  const { method } = req;
+
+  if (!userId) {
+    if (method === 'GET') return [200, await ledger.listUsers()];
+    if (method === 'POST') return [201, await ledger.createUser(await readJsonBody(req))];
+  } else if (!collection) {
+    if (method === 'GET') return [200, await ledger.getUser(userId)];
+    if (method === 'PATCH') return [200, await ledger.updateUser(userId, await readJsonBody(req))];
+    if (method === 'DELETE') return [204, await ledger.deleteUser(userId)];
+  } else if (collection === 'returns') {
+    if (entryId && method === 'GET') {
+      return [200, await ledger.returns(userId, entryId, projectionOverridesFromQuery(url.searchParams))];
+    }
+  } else if (!entryId) {
+    if (method === 'GET') return [200, await ledger[collection].list(userId)];
+    if (method === 'POST') return [201, await ledger[collection].add(userId, await readJsonBody(req))];
+  } else {
+    if (method === 'GET') return [200, await ledger[collection].get(userId, entryId)];
+    if (method === 'PATCH') return [200, await ledger[collection].update(userId, entryId, await readJsonBody(req))];
+    if (method === 'DELETE') return [204, await ledger[collection].remove(userId, entryId)];
+  }
+
+  if (collection === 'returns' && !entryId) {
+    throw new ApiError(404, 'Route not found', { code: 'ROUTE_NOT_FOUND' });
+  }
+  throw new ApiError(405, `Method ${method} is not allowed`);
 }
 
 function createMetrics() {
@@ -82,14 +345,16 @@ function performancePayload(metrics) {
   };
 }
 
-export function createServer() {
+export function createServer({ dataDir } = {}) {
   const metrics = createMetrics();
+  const ledger = createLedger(dataDir);
 
   return http.createServer(async (req, res) => {
     const started = process.hrtime.bigint();
 
     try {
-      const path = getPath(req);
+      const url = getUrl(req);
+      const path = url.pathname;
 
       if (req.method === 'GET' && (path === '/' || path === '/index.html')) {
         const html = await uiHtmlPromise;
@@ -102,16 +367,51 @@ export function createServer() {
         return;
       }
 
+      if (req.method === 'GET' && path === '/openapi.json') {
+        writeJson(res, 200, buildOpenApiDocument());
+        return;
+      }
+
       if (req.method === 'GET' && path === '/blackrock/challenge/v1/performance') {
         writeJson(res, 200, performancePayload(metrics));
         return;
       }
 
+      const usersMatch = USERS_ROUTE_RE.exec(path);
+      if (usersMatch) {
+        const [status, body] = await routeUsers(ledger, req, url, usersMatch);
+        if (status === 204) {
+          writeEmpty(res, status);
+        } else {
+          writeJson(res, status, body);
+        }
+        return;
+      }
+
       if (req.method !== 'POST') {
         throw new ApiError(405, `Method ${req.method} is not allowed`);
       }
 
-      const payload = await readJsonBody(req);
+      const contentType = getContentType(req);
+      const statementFormat = STATEMENT_FORMATS[contentType];
+
+      if (path === '/blackrock/challenge/v1/transactions:filter' && contentType === NDJSON_CONTENT_TYPE) {
+        await streamFilter(req, res);
+        return;
+      }
+
+      if (path === '/blackrock/challenge/v1/transactions:parse' && statementFormat) {
+        const text = await readBody(req);
+        const options = csvOptionsFromQuery(url.searchParams);
+        const settings = {
+          rounding: roundingFromQuery(url.searchParams),
+          timezone: url.searchParams.get('timezone') ?? undefined
+        };
+        writeJson(res, 200, parseStatement(text, statementFormat, options, settings));
+        return;
+      }
+
+      const payload = withExplainFromQuery(await readJsonBody(req), url.searchParams);
 
       if (path === '/blackrock/challenge/v1/transactions:parse') {
         writeJson(res, 200, parseTransactions(payload));
@@ -128,26 +428,56 @@ export function createServer() {
         return;
       }
 
-      if (path === '/blackrock/challenge/v1/returns:nps') {
-        writeJson(res, 200, calculateReturns(payload, 'nps'));
+      if (path === '/blackrock/challenge/v1/returns:sensitivity') {
+        writeJson(res, 200, calculateSensitivity(payload));
+        return;
+      }
+
+      if (path === '/blackrock/challenge/v1/returns:backtest') {
+        writeJson(res, 200, calculateBacktest(payload));
+        return;
+      }
+
+      if (path === '/blackrock/challenge/v1/returns:goal') {
+        writeJson(res, 200, calculateGoal(payload));
+        return;
+      }
+
+      if (path === '/blackrock/challenge/v1/returns:compare') {
+        writeJson(res, 200, compareReturns(payload));
         return;
       }
 
-      if (path === '/blackrock/challenge/v1/returns:index') {
-        writeJson(res, 200, calculateReturns(payload, 'index'));
+      const returnsMatch = RETURNS_ROUTE_RE.exec(path);
+      if (returnsMatch) {
+        writeJson(res, 200, calculateReturns(payload, returnsMatch[1]));
         return;
       }
 
-      throw new ApiError(404, 'Route not found');
+      throw new ApiError(404, 'Route not found', { code: 'ROUTE_NOT_FOUND' });
     } catch (error) {
+      if (res.headersSent) {
+        // A streamed response already started; all we can do is cut it short.
+        res.destroy();
+        return;
+      }
+      if (!req.complete) {
+        // The unread rest of the body would stall a reused connection, so answer and close it.
+        res.setHeader('connection', 'close');
+      }
       if (error instanceof ApiError) {
         writeJson(res, error.status, {
           error: error.message,
-          details: error.details ?? undefined
+          code: error.code,
+          path: error.path,
+          value: error.value,
+          details: error.details ?? undefined,
+          errors: error.errors ?? undefined
         });
       } else {
         writeJson(res, 500, {
           error: 'Internal server error',
+          code: 'INTERNAL_ERROR',
           details: error instanceof Error ? error.message : 'Unknown error'
         });
       }
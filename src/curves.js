@@ -0,0 +1,36 @@
+// A curve is a list of { fromYear, rate } segments sorted by fromYear. Year 1 is the first projected year,
+// and the last segment runs on indefinitely.
+export function rateForYear(curve, year) {
+  let { rate } = curve[0];
+  for (const segment of curve) {
+    if (segment.fromYear > year) break;
+    rate = segment.rate;
+  }
+  return rate;
+}
+
+export function curveRates(curve, fromYear, count) {
+  return Array.from({ length: count }, (_, index) => rateForYear(curve, fromYear + index));
+}
+
+// Growth over (from, to], in years from the start of the curve. The first segment also covers anything
+// before year 1, and `periodsPerYear` sets how often each segment's rate compounds.
+export function accrualFactor(curve, from, to, periodsPerYear = 1) {
+  let factor = 1;
+
+  curve.forEach((segment, index) => {
+    const segmentStart = index === 0 ? -Infinity : segment.fromYear - 1;
+    const segmentEnd = (curve[index + 1]?.fromYear ?? Infinity) - 1;
+    const span = Math.min(to, segmentEnd) - Math.max(from, segmentStart);
+    if (span > 0) {
+      factor *= (1 + segment.rate / periodsPerYear) ** (span * periodsPerYear);
+    }
+  });
+
+  return factor;
+}
+
+// Compounds segment by segment, so a single-segment curve gives exactly (1 + rate) ** years.
+export function compoundFactor(curve, years) {
+  return accrualFactor(curve, 0, years);
+}
@@ -0,0 +1,44 @@
+export const COMPOUNDING_MODES = ['horizon', 'dated'];
+export const COMPOUNDING_FREQUENCIES = { annual: 1, monthly: 12, daily: 365 };
+const SECONDS_PER_ACTUAL_YEAR = 365 * 86_400;
+const XIRR_ITERATIONS = 100;
+const XIRR_TOLERANCE = 1e-10;
+
+// Actual/365: every day counts and a year is 365 days.
+export function yearFraction(fromEpochSeconds, toEpochSeconds) {
+  return (toEpochSeconds - fromEpochSeconds) / SECONDS_PER_ACTUAL_YEAR;
+}
+
+function presentValue(flows, rate) {
+  let total = 0;
+  for (const { years, amount } of flows) {
+    total += amount * (1 + rate) ** -years;
+  }
+  return total;
+}
+
+// `flows` are { years, amount } with years measured from the first flow. Contributions come before the single
+// payout, so the present value falls as the rate rises and bisection on a widening bracket always converges.
+export function xirr(flows) {
+  const hasOutflow = flows.some((flow) => flow.amount < 0);
+  const hasInflow = flows.some((flow) => flow.amount > 0);
+  if (!hasOutflow || !hasInflow || flows.every((flow) => flow.years === flows[0].years)) {
+    return null;
+  }
+
+  let low = -0.9999;
+  let high = 1;
+  while (presentValue(flows, high) > 0 && high < 1e6) {
+    high *= 2;
+  }
+
+  for (let i = 0; i < XIRR_ITERATIONS && high - low > XIRR_TOLERANCE; i += 1) {
+    const mid = (low + high) / 2;
+    if (presentValue(flows, mid) > 0) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+  }
+  return (low + high) / 2;
+}
@@ -0,0 +1,79 @@
+export const DUPLICATE_STRATEGIES = ['keep-first', 'keep-last', 'sum', 'keep-all'];
+export const DUPLICATE_MATCH_FIELDS = ['amount', 'merchant'];
+const MAX_TOLERANCE_SECONDS = 86_400;
+
+// The default reproduces exact-second matching where the earliest row wins.
+export const DEFAULT_DUPLICATE_POLICY = Object.freeze({
+  toleranceSeconds: 0,
+  match: Object.freeze([]),
+  strategy: 'keep-first'
+});
+
+function policyError(field, problem, code) {
+  const error = new Error(`duplicatePolicy.${field} ${problem}`);
+  error.field = field;
+  error.code = code;
+  return error;
+}
+
+export function parseDuplicatePolicy(raw) {
+  if (raw === undefined || raw === null) {
+    return DEFAULT_DUPLICATE_POLICY;
+  }
+  if (typeof raw !== 'object' || Array.isArray(raw)) {
+    const error = new Error('duplicatePolicy must be an object');
+    error.field = '';
+    error.code = 'INVALID_TYPE';
+    throw error;
+  }
+
+  const toleranceSeconds = raw.toleranceSeconds ?? 0;
+  if (!Number.isInteger(toleranceSeconds) || toleranceSeconds < 0 || toleranceSeconds > MAX_TOLERANCE_SECONDS) {
+    throw policyError('toleranceSeconds', `must be an integer between 0 and ${MAX_TOLERANCE_SECONDS}`, 'OUT_OF_RANGE');
+  }
+
+  const match = raw.match ?? [];
+  if (!Array.isArray(match) || match.some((field) => !DUPLICATE_MATCH_FIELDS.includes(field))) {
+    throw policyError('match', `must be a list of ${DUPLICATE_MATCH_FIELDS.join(', ')}`, 'INVALID_ENUM');
+  }
+
+  const strategy = raw.strategy ?? DEFAULT_DUPLICATE_POLICY.strategy;
+  if (!DUPLICATE_STRATEGIES.includes(strategy)) {
+    throw policyError('strategy', `must be one of ${DUPLICATE_STRATEGIES.join(', ')}`, 'INVALID_ENUM');
+  }
+
+  return { toleranceSeconds, match: [...new Set(match)], strategy };
+}
+
+function matchKey(tx, match) {
+  return match
+    .map((field) => (field === 'amount' ? String(tx.amountPaise) : (tx.merchant ?? '').trim().toLowerCase()))
+    .join('\u0000');
+}
+
+// Groups rows whose timestamps fall within toleranceSeconds of the group's earliest row and whose
+// match fields agree. Rows come back ordered by time, pinned rows first, then input order.
+export function groupDuplicates(transactions, policy) {
+  const ordered = [...transactions].sort((a, b) => (
+    a.epochSeconds - b.epochSeconds
+    || Number(Boolean(b.pinned)) - Number(Boolean(a.pinned))
+    || a.inputIndex - b.inputIndex
+  ));
+  const open = new Map();
+  const groups = [];
+
+  for (const tx of ordered) {
+    const key = matchKey(tx, policy.match);
+    const group = open.get(key);
+
+    if (group && tx.epochSeconds - group[0].epochSeconds <= policy.toleranceSeconds) {
+      group.push(tx);
+    } else {
+      const fresh = [tx];
+      open.set(key, fresh);
+      groups.push(fresh);
+    }
+  }
+
+  return groups.filter((group) => group.length > 1);
+}
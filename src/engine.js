@@ -1,80 +1,238 @@
 import {
   parseMoney,
   moneyToFixed2,
-  validateMoneyRange,
-  ceilTo100,
+  ceilToMultiple,
+  scaleMoney,
   bigintMin,
-  moneyToNumber
+  moneyToNumber,
+  round2
 } from './money.js';
-import { parseTimestampLike, parseTimestampToEpochSeconds } from './time.js';
+import {
+  DEFAULT_TIME_ZONE,
+  assertTimeZone,
+  parseTimestampToEpochSeconds,
+  formatEpochSecondsToTimestamp,
+  parseCivilDate,
+  addYearsToDate,
+  completedYearsBetween,
+  startOfDayEpochSeconds,
+  civilDateOfEpoch,
+  civilDayNumber
+} from './time.js';
+import { parseCsvStatement, parseOfxStatement } from './statements.js';
+import { parseSmsMessage } from './sms.js';
+import { parseRecurrenceRule, parseDuration, expandRecurrence } from './recurrence.js';
+import { generateWindows } from './windows.js';
+import { parseAnomalyRules, detectAnomalies } from './anomalies.js';
+import { DEFAULT_DUPLICATE_POLICY, parseDuplicatePolicy, groupDuplicates } from './duplicates.js';
+import {
+  resolveTaxTable,
+  computeIncomeTax,
+  npsDeductions,
+  section80CDeductions,
+  resolveWithdrawalRule,
+  marginalTaxRate,
+  withdrawalTax
+} from './tax.js';
+import { defineInstrument, getInstrument, listInstruments } from './instruments.js';
+import {
+  ASSET_CLASSES,
+  ALLOCATION_MODES,
+  LIFECYCLE_NAMES,
+  DEFAULT_ASSET_RATES,
+  MIN_ANNUITY_SHARE,
+  DEFAULT_ANNUITY_RATE,
+  buildGlidePath,
+  annuitySplit
+} from './nps.js';
+import { PERCENTILES, simulateGrowthFactors, percentile, shareAtLeast } from './simulation.js';
+import { buildSchedule, buildDrawdown, monthlyContributionFactor } from './projection.js';
+import { accrualFactor, compoundFactor, curveRates } from './curves.js';
+import { COMPOUNDING_MODES, COMPOUNDING_FREQUENCIES, yearFraction, xirr } from './dated.js';
+import { parseNavSeries, navOnOrAfter } from './nav.js';
+import { ApiError, toJsonPointer, fieldError, wrapFieldError, createErrorCollector } from './errors.js';
 
 const MAX_RECORDS = 1_000_000;
 const MAX_AMOUNT_RUPEES = 500_000n;
 const MAX_AMOUNT_PAISE = MAX_AMOUNT_RUPEES * 100n;
-const NPS_RATE = 0.0711;
-const INDEX_RATE = 0.1449;
-const NPS_DEDUCTION_CAP_RUPEES = 200_000;
-
-class ApiError extends Error {
-  constructor(status, message, details = null) {
-    super(message);
-    this.status = status;
-    this.details = details;
-  }
-}
+const SECONDS_PER_YEAR = 365.25 * 24 * 3600;
+const SECONDS_PER_MONTH = SECONDS_PER_YEAR / 12;
+const MAX_SENSITIVITY_CELLS = 10_000;
+const MAX_GENERATED_K_WINDOWS = 10_000;
+const MAX_EXPANDED_OCCURRENCES = 100_000;
+const MAX_EXPLAIN_TRANSACTIONS = 10_000;
+const MAX_SIMULATION_PATHS = 100_000;
+const DEFAULT_SIMULATION_PATHS = 1_000;
+const DEFAULT_RETIREMENT_AGE = 60;
+const DEFAULT_LIFE_EXPECTANCY = 85;
+const MAX_CURVE_SEGMENTS = 120;
+const ROUNDING_MULTIPLES_RUPEES = [10, 50, 100, 500];
+export const GOAL_LEVERS = ['monthlySaving', 'extra', 'rounding'];
+const DEFAULT_ROUNDING_POLICY = Object.freeze({
+  multiplePaise: 10000n,
+  multiplier: 1,
+  minRemanentPaise: 0n,
+  maxRemanentPaise: null,
+  skipExactMultiples: false
+});
+const DEFAULT_REQUEST_SETTINGS = Object.freeze({
+  rounding: DEFAULT_ROUNDING_POLICY,
+  timeZone: DEFAULT_TIME_ZONE,
+  duplicatePolicy: DEFAULT_DUPLICATE_POLICY
+});
 
 export { ApiError };
 
 function assertArray(value, fieldName) {
   if (!Array.isArray(value)) {
-    throw new ApiError(400, `${fieldName} must be an array`);
+    throw fieldError(fieldName, 'INVALID_TYPE', 'must be an array', value);
   }
   if (value.length > MAX_RECORDS) {
-    throw new ApiError(400, `${fieldName} cannot exceed ${MAX_RECORDS} records`);
+    throw fieldError(fieldName, 'TOO_MANY_ITEMS', `cannot exceed ${MAX_RECORDS} records`, value.length);
+  }
+  return value;
+}
+
+function assertPlainObject(value, fieldName) {
+  if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+    throw fieldError(fieldName, 'INVALID_TYPE', 'must be an object', value);
   }
   return value;
 }
 
-function getTimestampField(record) {
-  return parseTimestampLike(record?.timestamp, record?.date, 'timestamp');
+function getTimestampField(record, path) {
+  const value = typeof record?.timestamp === 'string' ? record.timestamp : record?.date;
+  if (typeof value !== 'string') {
+    const missing = record?.timestamp === undefined && record?.date === undefined;
+    throw fieldError(`${path}.timestamp`, missing ? 'REQUIRED' : 'INVALID_TYPE', 'is required', record?.timestamp);
+  }
+  return value;
 }
 
 function parseNumericField(raw, path) {
   try {
     return parseMoney(raw);
   } catch (error) {
-    throw new ApiError(400, `${path} ${error.message}`);
+    throw fieldError(path, 'INVALID_NUMBER', error.message, raw);
   }
 }
 
-function parsePeriodTimestamp(raw, path) {
+function assertMoneyRange(paise, path, raw) {
+  if (paise < 0n || paise >= MAX_AMOUNT_PAISE) {
+    throw fieldError(path, 'OUT_OF_RANGE', 'out of allowed range', raw);
+  }
+}
+
+function parseTimestampField(raw, path, timeZone = DEFAULT_TIME_ZONE) {
   try {
-    return parseTimestampToEpochSeconds(raw, path);
+    return parseTimestampToEpochSeconds(raw, path, timeZone);
   } catch (error) {
-    throw new ApiError(400, error.message);
+    throw wrapFieldError(path, 'INVALID_TIMESTAMP', raw, error);
+  }
+}
+
+function parseRoundingPolicy(raw) {
+  if (raw === undefined || raw === null) {
+    return DEFAULT_ROUNDING_POLICY;
+  }
+  assertPlainObject(raw, 'rounding');
+
+  const multiple = raw.multiple ?? 100;
+  const multipleRupees = Number(multiple);
+  if (!ROUNDING_MULTIPLES_RUPEES.includes(multipleRupees)) {
+    throw fieldError('rounding.multiple', 'INVALID_ENUM', `must be one of ${ROUNDING_MULTIPLES_RUPEES.join(', ')}`, multiple);
+  }
+
+  const multiplier = raw.multiplier ?? 1;
+  if (typeof multiplier !== 'number' || !Number.isFinite(multiplier) || multiplier <= 0 || multiplier > 10) {
+    throw fieldError('rounding.multiplier', 'OUT_OF_RANGE', 'must be a number greater than 0 and at most 10', multiplier);
+  }
+
+  const minRemanentPaise = raw.minRemanent !== undefined
+    ? parseNumericField(raw.minRemanent, 'rounding.minRemanent')
+    : 0n;
+  const maxRemanentPaise = raw.maxRemanent !== undefined
+    ? parseNumericField(raw.maxRemanent, 'rounding.maxRemanent')
+    : null;
+
+  if (minRemanentPaise < 0n) {
+    throw fieldError('rounding.minRemanent', 'OUT_OF_RANGE', 'cannot be negative', raw.minRemanent);
+  }
+  if (maxRemanentPaise !== null && maxRemanentPaise < minRemanentPaise) {
+    throw fieldError('rounding.maxRemanent', 'INVALID_RANGE', 'cannot be less than rounding.minRemanent', raw.maxRemanent);
+  }
+
+  if (raw.skipExactMultiples !== undefined && typeof raw.skipExactMultiples !== 'boolean') {
+    throw fieldError('rounding.skipExactMultiples', 'INVALID_TYPE', 'must be a boolean', raw.skipExactMultiples);
   }
+
+  return {
+    multiplePaise: BigInt(multipleRupees) * 100n,
+    multiplier,
+    minRemanentPaise,
+    maxRemanentPaise,
+    skipExactMultiples: raw.skipExactMultiples ?? false
+  };
 }
 
-function buildTransactionFromExpense(expense, index) {
-  let timestamp;
+function parseTimeZone(raw) {
+  if (raw === undefined || raw === null) {
+    return DEFAULT_TIME_ZONE;
+  }
   try {
-    timestamp = getTimestampField(expense);
+    return assertTimeZone(raw);
   } catch (error) {
-    throw new ApiError(400, `expenses[${index}].${error.message}`);
+    throw wrapFieldError('timezone', 'UNKNOWN_TIMEZONE', raw, error);
   }
+}
 
-  let epochSeconds;
+function parseDuplicatePolicyField(raw) {
   try {
-    epochSeconds = parseTimestampToEpochSeconds(timestamp, `expenses[${index}].timestamp`);
+    return parseDuplicatePolicy(raw);
   } catch (error) {
-    throw new ApiError(400, error.message);
+    const path = error.field ? `duplicatePolicy.${error.field}` : 'duplicatePolicy';
+    throw wrapFieldError(path, error.code, error.field ? raw[error.field] : raw, error);
+  }
+}
+
+function parseRequestSettings(payload) {
+  return {
+    rounding: parseRoundingPolicy(payload?.rounding),
+    timeZone: parseTimeZone(payload?.timezone),
+    duplicatePolicy: parseDuplicatePolicyField(payload?.duplicatePolicy)
+  };
+}
+
+function remanentForPolicy(amountPaise, ceilingPaise, policy) {
+  if (policy.skipExactMultiples && amountPaise % policy.multiplePaise === 0n) {
+    return 0n;
   }
 
-  const amountPaise = parseNumericField(expense?.amount, `expenses[${index}].amount`);
-  validateMoneyRange(amountPaise, 0n, MAX_AMOUNT_PAISE, `expenses[${index}].amount`);
+  let remanent = scaleMoney(ceilingPaise - amountPaise, policy.multiplier);
+  if (remanent < policy.minRemanentPaise) {
+    remanent = policy.minRemanentPaise;
+  }
+  if (policy.maxRemanentPaise !== null && remanent > policy.maxRemanentPaise) {
+    remanent = policy.maxRemanentPaise;
+  }
+  return remanent;
+}
+
+function buildTransactionFromExpense(
+  expense,
+  index,
+  settings = DEFAULT_REQUEST_SETTINGS,
+  path = `expenses[${index}]`
+) {
+  const rawTimestamp = getTimestampField(expense, path);
+  const epochSeconds = parseTimestampField(rawTimestamp, `${path}.timestamp`, settings.timeZone);
+  const timestamp = formatEpochSecondsToTimestamp(epochSeconds, settings.timeZone);
 
-  const ceilingPaise = ceilTo100(amountPaise);
-  const remanentBasePaise = ceilingPaise - amountPaise;
+  const amountPaise = parseNumericField(expense?.amount, `${path}.amount`);
+  assertMoneyRange(amountPaise, `${path}.amount`, expense?.amount);
+
+  const ceilingPaise = ceilToMultiple(amountPaise, settings.rounding.multiplePaise);
+  const remanentBasePaise = remanentForPolicy(amountPaise, ceilingPaise, settings.rounding);
 
   return {
     timestamp,
@@ -83,44 +241,45 @@ function buildTransactionFromExpense(expense, index) {
     ceilingPaise,
     remanentBasePaise,
     remanentFinalPaise: remanentBasePaise,
+    merchant: typeof expense?.merchant === 'string' ? expense.merchant : null,
     inputIndex: index
   };
 }
 
-function parseTransactionInput(transaction, index, sourceField = 'transactions') {
+function parseTransactionInput(
+  transaction,
+  index,
+  settings = DEFAULT_REQUEST_SETTINGS,
+  sourceField = 'transactions'
+) {
   const txPath = `${sourceField}[${index}]`;
+  const policy = settings.rounding;
 
-  let timestamp;
-  try {
-    timestamp = getTimestampField(transaction);
-  } catch (error) {
-    throw new ApiError(400, `${txPath}.${error.message}`);
-  }
-
-  let epochSeconds;
-  try {
-    epochSeconds = parseTimestampToEpochSeconds(timestamp, `${txPath}.timestamp`);
-  } catch (error) {
-    throw new ApiError(400, error.message);
-  }
+  const rawTimestamp = getTimestampField(transaction, txPath);
+  const epochSeconds = parseTimestampField(rawTimestamp, `${txPath}.timestamp`, settings.timeZone);
+  const timestamp = formatEpochSecondsToTimestamp(epochSeconds, settings.timeZone);
 
   const amountPaise = parseNumericField(transaction?.amount, `${txPath}.amount`);
-  validateMoneyRange(amountPaise, 0n, MAX_AMOUNT_PAISE, `${txPath}.amount`);
+  assertMoneyRange(amountPaise, `${txPath}.amount`, transaction?.amount);
 
   const ceilingPaise = transaction?.ceiling !== undefined
     ? parseNumericField(transaction?.ceiling, `${txPath}.ceiling`)
-    : ceilTo100(amountPaise);
+    : ceilToMultiple(amountPaise, policy.multiplePaise);
 
   if (ceilingPaise < amountPaise) {
-    throw new ApiError(400, `${txPath}.ceiling cannot be less than amount`);
+    throw fieldError(`${txPath}.ceiling`, 'CONSTRAINT_VIOLATION', 'cannot be less than amount', transaction.ceiling);
   }
 
-  const hundredPaise = 10000n;
-  if (ceilingPaise % hundredPaise !== 0n) {
-    throw new ApiError(400, `${txPath}.ceiling must be a multiple of 100`);
+  if (ceilingPaise % policy.multiplePaise !== 0n) {
+    throw fieldError(
+      `${txPath}.ceiling`,
+      'CONSTRAINT_VIOLATION',
+      `must be a multiple of ${policy.multiplePaise / 100n}`,
+      transaction.ceiling
+    );
   }
 
-  const remanentBasePaise = ceilingPaise - amountPaise;
+  const remanentBasePaise = remanentForPolicy(amountPaise, ceilingPaise, policy);
 
   return {
     timestamp,
@@ -129,6 +288,7 @@ function parseTransactionInput(transaction, index, sourceField = 'transactions')
     ceilingPaise,
     remanentBasePaise,
     remanentFinalPaise: remanentBasePaise,
+    merchant: typeof transaction?.merchant === 'string' ? transaction.merchant : null,
     inputIndex: index
   };
 }
@@ -140,79 +300,158 @@ function serializeTransaction(transaction) {
     ceiling: moneyToFixed2(transaction.ceilingPaise),
     remanent: moneyToFixed2(transaction.remanentFinalPaise),
     remanentBase: moneyToFixed2(transaction.remanentBasePaise),
-    remanentFinal: moneyToFixed2(transaction.remanentFinalPaise)
+    remanentFinal: moneyToFixed2(transaction.remanentFinalPaise),
+    ...(transaction.merchant ? { merchant: transaction.merchant } : {})
   };
 }
 
-function buildInvalidTransaction(record, code, message) {
+function buildInvalidTransaction(record, code, message, error) {
   return {
     transaction: record,
     code,
-    message
+    message,
+    ...(error?.path !== undefined ? { path: error.path } : {}),
+    ...(error?.value !== undefined ? { value: error.value } : {})
   };
 }
 
-function parseQPeriods(periods) {
-  return periods.map((period, index) => {
-    const fixedPaise = parseNumericField(period?.fixed, `q[${index}].fixed`);
-    validateMoneyRange(fixedPaise, 0n, MAX_AMOUNT_PAISE, `q[${index}].fixed`);
+function guardField(path, code, value, task) {
+  try {
+    return task();
+  } catch (error) {
+    throw wrapFieldError(path, code, value, error);
+  }
+}
+
+function parsePeriodAmount(raw, path, collector) {
+  return collector.attempt(() => {
+    const paise = parseNumericField(raw, path);
+    assertMoneyRange(paise, path, raw);
+    return paise;
+  });
+}
 
-    const start = parsePeriodTimestamp(period?.start, `q[${index}].start`);
-    const end = parsePeriodTimestamp(period?.end, `q[${index}].end`);
+function parsePeriodWindow(period, path, timeZone, collector) {
+  const start = collector.attempt(() => parseTimestampField(period?.start, `${path}.start`, timeZone));
 
+  if (period?.rrule === undefined || period?.rrule === null) {
+    const end = collector.attempt(() => parseTimestampField(period?.end, `${path}.end`, timeZone));
     if (start > end) {
-      throw new ApiError(400, `q[${index}] start cannot be after end`);
+      collector.report(fieldError(path, 'INVALID_RANGE', 'start cannot be after end', { start: period.start, end: period.end }));
     }
+    return { start, end, recurrence: null };
+  }
 
-    return {
-      id: period?.id ?? `q-${index}`,
-      fixedPaise,
-      start,
-      end,
-      inputOrder: index
-    };
-  });
+  if (period.end !== undefined && period.end !== null) {
+    collector.report(
+      fieldError(`${path}.end`, 'CONSTRAINT_VIOLATION', 'cannot be combined with rrule; use UNTIL or COUNT instead', period.end)
+    );
+  }
+
+  const rule = collector.attempt(() => guardField(`${path}.rrule`, 'INVALID_RRULE', period.rrule, () => (
+    parseRecurrenceRule(period.rrule, `${path}.rrule`, timeZone)
+  )));
+  const durationSeconds = collector.attempt(() => guardField(`${path}.duration`, 'INVALID_DURATION', period.duration, () => (
+    parseDuration(period.duration, `${path}.duration`)
+  )));
+
+  return { start, end: null, recurrence: { rule, durationSeconds, timeZone } };
 }
 
-function parsePPeriods(periods) {
-  return periods.map((period, index) => {
-    const extraPaise = parseNumericField(period?.extra, `p[${index}].extra`);
-    validateMoneyRange(extraPaise, 0n, MAX_AMOUNT_PAISE, `p[${index}].extra`);
+function parsePeriodPriority(raw, path, collector) {
+  if (raw === undefined || raw === null) {
+    return 0;
+  }
+  if (typeof raw !== 'number' || !Number.isFinite(raw)) {
+    collector.report(fieldError(path, 'INVALID_NUMBER', 'must be a finite number', raw));
+    return 0;
+  }
+  return raw;
+}
 
-    const start = parsePeriodTimestamp(period?.start, `p[${index}].start`);
-    const end = parsePeriodTimestamp(period?.end, `p[${index}].end`);
+function parseQPeriods(periods, timeZone, collector) {
+  return periods.map((period, index) => ({
+    id: period?.id ?? `q-${index}`,
+    fixedPaise: parsePeriodAmount(period?.fixed, `q[${index}].fixed`, collector),
+    priority: parsePeriodPriority(period?.priority, `q[${index}].priority`, collector),
+    ...parsePeriodWindow(period, `q[${index}]`, timeZone, collector),
+    inputOrder: index
+  }));
+}
 
-    if (start > end) {
-      throw new ApiError(400, `p[${index}] start cannot be after end`);
-    }
+function parsePPeriods(periods, timeZone, collector) {
+  return periods.map((period, index) => ({
+    id: period?.id ?? `p-${index}`,
+    extraPaise: parsePeriodAmount(period?.extra, `p[${index}].extra`, collector),
+    ...parsePeriodWindow(period, `p[${index}]`, timeZone, collector),
+    inputOrder: index
+  }));
+}
 
-    return {
-      id: period?.id ?? `p-${index}`,
-      extraPaise,
-      start,
-      end
-    };
-  });
+function buildKWindow(id, start, end, label, timeZone, inputOrder) {
+  return {
+    id,
+    start,
+    end,
+    startText: formatEpochSecondsToTimestamp(start, timeZone),
+    endText: formatEpochSecondsToTimestamp(end, timeZone),
+    label,
+    inputOrder
+  };
 }
 
-function parseKPeriods(periods) {
-  return periods.map((period, index) => {
-    const start = parsePeriodTimestamp(period?.start, `k[${index}].start`);
-    const end = parsePeriodTimestamp(period?.end, `k[${index}].end`);
+function parseKPeriods(periods, timeZone, collector) {
+  const windows = [];
+  let generated = 0;
 
+  periods.forEach((period, index) => {
+    const path = `k[${index}]`;
+    const id = period?.id ?? `k-${index}`;
+    const start = collector.attempt(() => parseTimestampField(period?.start, `${path}.start`, timeZone));
+    const end = collector.attempt(() => parseTimestampField(period?.end, `${path}.end`, timeZone));
+
+    if (start === undefined || end === undefined) {
+      return;
+    }
     if (start > end) {
-      throw new ApiError(400, `k[${index}] start cannot be after end`);
+      collector.report(fieldError(path, 'INVALID_RANGE', 'start cannot be after end', { start: period.start, end: period.end }));
+      return;
     }
 
-    return {
-      id: period?.id ?? `k-${index}`,
-      start,
-      end,
-      startText: period?.start,
-      endText: period?.end,
-      inputOrder: index
-    };
+    if (period?.generate === undefined) {
+      const label = typeof period?.label === 'string' ? period.label : null;
+      windows.push(buildKWindow(id, start, end, label, timeZone, windows.length));
+      return;
+    }
+
+    const generator = collector.attempt(() => {
+      try {
+        return generateWindows(period, { start, end, timeZone, fieldName: path });
+      } catch (error) {
+        const code = error.field === 'generate' ? 'INVALID_ENUM' : 'INVALID_TYPE';
+        throw wrapFieldError(`${path}.${error.field}`, code, period[error.field], error);
+      }
+    });
+    if (!generator || generated > MAX_GENERATED_K_WINDOWS) {
+      return;
+    }
+
+    for (const window of generator) {
+      generated += 1;
+      if (generated > MAX_GENERATED_K_WINDOWS) {
+        collector.report(fieldError(
+          path,
+          'TOO_MANY_ITEMS',
+          `would push k generators past ${MAX_GENERATED_K_WINDOWS} windows; narrow the range or use a larger step`,
+          period
+        ));
+        return;
+      }
+      windows.push(buildKWindow(`${id}:${window.label}`, window.start, window.end, window.label, timeZone, windows.length));
+    }
   });
+
+  return windows;
 }
 
 class BinaryHeap {
@@ -285,76 +524,198 @@ class BinaryHeap {
   }
 }
 
-function applyQPeriods(transactions, qPeriods, sortedTransactionIndices) {
-  if (qPeriods.length === 0) {
+function* periodOccurrences(period, { from, horizon }) {
+  if (!period.recurrence) {
+    yield period;
     return;
   }
 
-  const sortedQ = [...qPeriods].sort((a, b) => {
-    if (a.start !== b.start) {
-      return a.start - b.start;
-    }
-    return a.inputOrder - b.inputOrder;
-  });
+  const { rule, durationSeconds, timeZone } = period.recurrence;
+  const occurrences = expandRecurrence(rule, { start: period.start, durationSeconds, timeZone, horizon, from });
+  for (const { start, end } of occurrences) {
+    yield { ...period, start, end };
+  }
+}
 
-  const heap = new BinaryHeap((a, b) => {
-    if (a.start !== b.start) {
-      return a.start - b.start;
+// Merges every period's occurrences into one stream ordered by start, then input order.
+// Recurring periods are expanded only from the first transaction and as far as the sweep asks for them;
+// without a horizon, the markers of open-ended expansion keep that lazy even for rules that rarely match.
+function createOccurrenceQueue(periods, span, fieldName) {
+  const pending = new BinaryHeap((a, b) => {
+    if (a.occurrence.start !== b.occurrence.start) {
+      return b.occurrence.start - a.occurrence.start;
     }
-    // Higher priority to first input occurrence.
-    return b.inputOrder - a.inputOrder;
+    return b.occurrence.inputOrder - a.occurrence.inputOrder;
   });
 
-  let qPointer = 0;
+  let expanded = 0;
 
-  for (const txIndex of sortedTransactionIndices) {
-    const tx = transactions[txIndex];
-    const ts = tx.epochSeconds;
-
-    while (qPointer < sortedQ.length && sortedQ[qPointer].start <= ts) {
-      heap.push(sortedQ[qPointer]);
-      qPointer += 1;
+  function advance(source) {
+    const next = source.next();
+    if (next.done) {
+      return;
     }
-
-    while (heap.size() > 0 && heap.peek().end < ts) {
-      heap.pop();
+    // Plain periods stay under MAX_RECORDS; only rrule expansion counts against this cap.
+    if (next.value.recurrence && next.value.end !== null) {
+      expanded += 1;
+    }
+    if (expanded > MAX_EXPANDED_OCCURRENCES) {
+      throw fieldError(
+        fieldName,
+        'TOO_MANY_ITEMS',
+        `would expand past ${MAX_EXPANDED_OCCURRENCES} occurrences; narrow the rrule with UNTIL, COUNT or a larger INTERVAL`
+      );
     }
+    pending.push({ occurrence: next.value, source });
+  }
 
-    if (heap.size() > 0) {
-      tx.remanentFinalPaise = heap.peek().fixedPaise;
-    } else {
-      tx.remanentFinalPaise = tx.remanentBasePaise;
+  for (const period of periods) {
+    advance(periodOccurrences(period, span));
+  }
+
+  return {
+    * startingBy(ts) {
+      while (pending.size() > 0 && pending.peek().occurrence.start <= ts) {
+        const { occurrence, source } = pending.pop();
+        advance(source);
+        if (occurrence.end !== null) {
+          yield occurrence;
+        }
+      }
     }
+  };
+}
+
+function sweepSpan(transactions, sortedTransactionIndices) {
+  return {
+    from: transactions[sortedTransactionIndices[0]].epochSeconds,
+    horizon: transactions[sortedTransactionIndices[sortedTransactionIndices.length - 1]].epochSeconds
+  };
+}
+
+function compareBigInt(a, b) {
+  if (a === b) return 0;
+  return a > b ? 1 : -1;
+}
+
+// Latest start wins; ties go to the first in input order.
+function byLatestStart(a, b) {
+  if (a.start !== b.start) {
+    return a.start - b.start;
   }
+  return b.inputOrder - a.inputOrder;
 }
 
-function applyPPeriods(transactions, pPeriods, sortedTransactionIndices) {
-  if (pPeriods.length === 0) {
-    return;
+// Each comparator returns > 0 when `a` should win. All but last-in-input fall back to latest start.
+const Q_CONFLICT_COMPARATORS = {
+  'latest-start': byLatestStart,
+  'highest-fixed': (a, b) => compareBigInt(a.fixedPaise, b.fixedPaise) || byLatestStart(a, b),
+  'lowest-fixed': (a, b) => compareBigInt(b.fixedPaise, a.fixedPaise) || byLatestStart(a, b),
+  shortest: (a, b) => (b.end - b.start) - (a.end - a.start) || byLatestStart(a, b),
+  priority: (a, b) => a.priority - b.priority || byLatestStart(a, b),
+  'last-in-input': (a, b) => a.inputOrder - b.inputOrder
+};
+export const Q_CONFLICT_STRATEGIES = Object.keys(Q_CONFLICT_COMPARATORS);
+const DEFAULT_Q_CONFLICT = 'latest-start';
+
+function parseQConflict(raw) {
+  if (raw === undefined || raw === null) {
+    return DEFAULT_Q_CONFLICT;
+  }
+  if (!Q_CONFLICT_STRATEGIES.includes(raw)) {
+    throw fieldError('qConflict', 'INVALID_ENUM', `must be one of ${Q_CONFLICT_STRATEGIES.join(', ')}`, raw);
   }
+  return raw;
+}
 
-  const events = [];
+// Expired periods are only dropped once they reach the top of the heap, which keeps every
+// strategy at O((n + m) log m) for n transactions and m period occurrences.
+// Timestamps passed to winnerAt must never decrease.
+function createQSweep(qPeriods, span, qConflict = DEFAULT_Q_CONFLICT) {
+  const upcoming = createOccurrenceQueue(qPeriods, span, 'q');
+  const heap = new BinaryHeap(Q_CONFLICT_COMPARATORS[qConflict]);
 
-  for (const period of pPeriods) {
-    events.push({ time: period.start, delta: period.extraPaise });
-    events.push({ time: period.end + 1, delta: -period.extraPaise });
-  }
+  return {
+    winnerAt(ts) {
+      for (const occurrence of upcoming.startingBy(ts)) {
+        heap.push(occurrence);
+      }
+      while (heap.size() > 0 && heap.peek().end < ts) {
+        heap.pop();
+      }
+      return heap.size() > 0 ? heap.peek() : null;
+    },
+    // Expired entries linger below the top of the heap, so competitors are filtered by end.
+    competing(winner, ts) {
+      return heap.data.filter((period) => period !== winner && period.end >= ts);
+    }
+  };
+}
 
-  events.sort((a, b) => a.time - b.time);
+function applyQPeriods(transactions, qPeriods, sortedTransactionIndices, qConflict = DEFAULT_Q_CONFLICT, traces = null) {
+  if (qPeriods.length === 0 || sortedTransactionIndices.length === 0) {
+    return;
+  }
 
-  let activeExtra = 0n;
-  let eventPointer = 0;
+  const sweep = createQSweep(qPeriods, sweepSpan(transactions, sortedTransactionIndices), qConflict);
 
   for (const txIndex of sortedTransactionIndices) {
     const tx = transactions[txIndex];
     const ts = tx.epochSeconds;
+    const winner = sweep.winnerAt(ts);
+
+    tx.remanentFinalPaise = winner ? winner.fixedPaise : tx.remanentBasePaise;
+
+    if (traces && winner) {
+      const competing = sweep.competing(winner, ts);
+      traces[txIndex].q = {
+        id: winner.id,
+        fixed: moneyToFixed2(winner.fixedPaise),
+        competing: competing.sort((a, b) => a.inputOrder - b.inputOrder || a.start - b.start).map((period) => period.id)
+      };
+    }
+  }
+}
 
-    while (eventPointer < events.length && events[eventPointer].time <= ts) {
-      activeExtra += events[eventPointer].delta;
-      eventPointer += 1;
+// Timestamps passed to extraAt must never decrease.
+function createPSweep(pPeriods, span) {
+  const upcoming = createOccurrenceQueue(pPeriods, span, 'p');
+  const active = new BinaryHeap((a, b) => b.end - a.end);
+  let activeExtra = 0n;
+
+  return {
+    extraAt(ts) {
+      for (const occurrence of upcoming.startingBy(ts)) {
+        active.push(occurrence);
+        activeExtra += occurrence.extraPaise;
+      }
+      while (active.size() > 0 && active.peek().end < ts) {
+        activeExtra -= active.pop().extraPaise;
+      }
+      return activeExtra;
+    },
+    active() {
+      return active.data;
     }
+  };
+}
+
+function applyPPeriods(transactions, pPeriods, sortedTransactionIndices, traces = null) {
+  if (pPeriods.length === 0 || sortedTransactionIndices.length === 0) {
+    return;
+  }
+
+  const sweep = createPSweep(pPeriods, sweepSpan(transactions, sortedTransactionIndices));
+
+  for (const txIndex of sortedTransactionIndices) {
+    const tx = transactions[txIndex];
+    tx.remanentFinalPaise += sweep.extraAt(tx.epochSeconds);
 
-    tx.remanentFinalPaise += activeExtra;
+    if (traces) {
+      traces[txIndex].p = [...sweep.active()]
+        .sort((a, b) => a.inputOrder - b.inputOrder || a.start - b.start)
+        .map((period) => ({ id: period.id, extra: moneyToFixed2(period.extraPaise) }));
+    }
   }
 }
 
@@ -390,8 +751,9 @@ function upperBound(array, target) {
   return left;
 }
 
-function buildSavingsByKPeriods(transactions, kPeriods) {
+function buildSavingsByKPeriods(transactions, kPeriods, traces = null) {
   const sortedTransactions = [...transactions].sort((a, b) => a.epochSeconds - b.epochSeconds);
+  const traceOf = traces ? new Map(transactions.map((tx, index) => [tx, traces[index]])) : null;
   const times = sortedTransactions.map((tx) => tx.epochSeconds);
 
   const prefix = new Array(sortedTransactions.length + 1);
@@ -405,51 +767,159 @@ function buildSavingsByKPeriods(transactions, kPeriods) {
     const rightExclusive = upperBound(times, period.end);
     const sum = prefix[rightExclusive] - prefix[left];
 
+    if (traceOf) {
+      for (let i = left; i < rightExclusive; i += 1) {
+        traceOf.get(sortedTransactions[i]).k.push(period.id);
+      }
+    }
+
     return {
       start: period.startText,
       end: period.endText,
-      amountPaise: sum
+      label: period.label,
+      amountPaise: sum,
+      transactionCount: rightExclusive - left
     };
   });
 }
 
+// Streams take rows in time order, so a window's sum is the running total when the first row past its end
+// arrives minus the running total when its first row arrived; only one snapshot per window is kept.
+function createKWindowTally(kPeriods) {
+  const byStart = kPeriods.map((_, index) => index).sort((a, b) => kPeriods[a].start - kPeriods[b].start);
+  const byEnd = kPeriods.map((_, index) => index).sort((a, b) => kPeriods[a].end - kPeriods[b].end);
+  const opened = new Array(kPeriods.length).fill(null);
+  const closed = new Array(kPeriods.length).fill(null);
+  let running = { amountPaise: 0n, transactionCount: 0 };
+  let nextStart = 0;
+  let nextEnd = 0;
+
+  return {
+    add(tx) {
+      const ts = tx.epochSeconds;
+      for (; nextStart < byStart.length && kPeriods[byStart[nextStart]].start <= ts; nextStart += 1) {
+        opened[byStart[nextStart]] = running;
+      }
+      for (; nextEnd < byEnd.length && kPeriods[byEnd[nextEnd]].end < ts; nextEnd += 1) {
+        closed[byEnd[nextEnd]] = running;
+      }
+      running = {
+        amountPaise: running.amountPaise + tx.remanentFinalPaise,
+        transactionCount: running.transactionCount + 1
+      };
+    },
+
+    finish() {
+      return kPeriods.map((period, index) => {
+        const from = opened[index] ?? running;
+        const to = closed[index] ?? running;
+        return {
+          start: period.startText,
+          end: period.endText,
+          label: period.label,
+          amountPaise: to.amountPaise - from.amountPaise,
+          transactionCount: to.transactionCount - from.transactionCount
+        };
+      });
+    }
+  };
+}
+
+function mergeDuplicateGroup(group, settings) {
+  const [first] = group;
+  const amountPaise = group.reduce((sum, tx) => sum + tx.amountPaise, 0n);
+  const ceilingPaise = ceilToMultiple(amountPaise, settings.rounding.multiplePaise);
+  const remanentPaise = remanentForPolicy(amountPaise, ceilingPaise, settings.rounding);
+
+  return {
+    ...first,
+    amountPaise,
+    ceilingPaise,
+    remanentBasePaise: remanentPaise,
+    remanentFinalPaise: remanentPaise
+  };
+}
+
+// Applies the request's duplicate policy. Pinned rows (already stored) always survive and
+// every other row in their group is dropped, whatever the strategy.
+function resolveDuplicates(transactions, settings, labelOf = (tx) => `transactions[${tx.inputIndex}]`) {
+  const { strategy } = settings.duplicatePolicy;
+  const dropped = new Map();
+  const merged = new Map();
+  const groups = [];
+
+  for (const group of groupDuplicates(transactions, settings.duplicatePolicy)) {
+    const pinned = group.filter((tx) => tx.pinned);
+    let kept;
+    if (pinned.length > 0) {
+      kept = pinned;
+    } else if (strategy === 'keep-last') {
+      kept = [group.at(-1)];
+    } else if (strategy === 'keep-all') {
+      kept = group;
+    } else {
+      kept = [group[0]];
+    }
+
+    const replacement = strategy === 'sum' && pinned.length === 0 ? mergeDuplicateGroup(group, settings) : null;
+    if (replacement) {
+      merged.set(group[0], replacement);
+      group.slice(1).forEach((tx) => merged.set(tx, null));
+    } else {
+      group.filter((tx) => !kept.includes(tx)).forEach((tx) => dropped.set(tx, labelOf(kept[0])));
+    }
+
+    groups.push({
+      strategy,
+      rows: group.filter((tx) => !tx.pinned).map((tx) => ({
+        index: tx.inputIndex,
+        kept: replacement ? tx === group[0] : kept.includes(tx),
+        transaction: serializeTransaction(tx)
+      })),
+      ...(replacement ? { merged: serializeTransaction(replacement) } : {})
+    });
+  }
+
+  const kept = [];
+  const duplicates = [];
+  for (const tx of transactions) {
+    if (tx.pinned) continue;
+    if (dropped.has(tx)) {
+      duplicates.push({ tx, of: dropped.get(tx) });
+    } else if (merged.has(tx)) {
+      if (merged.get(tx)) kept.push(merged.get(tx));
+    } else {
+      kept.push(tx);
+    }
+  }
+
+  return { kept, duplicates, groups };
+}
+
+function buildDuplicateEntry(record, of) {
+  return buildInvalidTransaction(record, 'DUPLICATE_TIMESTAMP', `Duplicate of ${of}`);
+}
+
 function parseAndValidateTransactionsForValidation(payload) {
   const rawTransactions = assertArray(payload?.transactions, 'transactions');
+  const settings = parseRequestSettings(payload);
   const invalid = [];
-  const valid = [];
-  const duplicates = [];
-  const seen = new Map();
+  const candidates = [];
 
   for (let i = 0; i < rawTransactions.length; i += 1) {
     const raw = rawTransactions[i];
 
     let tx;
     try {
-      tx = parseTransactionInput(raw, i);
+      tx = parseTransactionInput(raw, i, settings);
     } catch (error) {
       if (error instanceof ApiError) {
-        invalid.push(buildInvalidTransaction(raw, 'INVALID_TRANSACTION', error.message));
+        invalid.push(buildInvalidTransaction(raw, 'INVALID_TRANSACTION', error.message, error));
         continue;
       }
       throw error;
     }
 
-    const serialized = serializeTransaction(tx);
-
-    if (seen.has(tx.timestamp)) {
-      invalid.push(
-        buildInvalidTransaction(
-          serialized,
-          'DUPLICATE_TIMESTAMP',
-          `Duplicate timestamp with transactions[${seen.get(tx.timestamp)}]`
-        )
-      );
-      duplicates.push(serialized);
-      continue;
-    }
-
-    seen.set(tx.timestamp, i);
-
     // Validator-specific consistency checks.
     const remanentInPayload = raw?.remanent;
     if (remanentInPayload !== undefined) {
@@ -457,139 +927,514 @@ function parseAndValidateTransactionsForValidation(payload) {
       if (remanentPaise !== tx.remanentBasePaise) {
         invalid.push(
           buildInvalidTransaction(
-            serialized,
+            serializeTransaction(tx),
             'REMANENT_MISMATCH',
-            'remanent must equal ceiling - amount'
+            `remanent must equal ${moneyToFixed2(tx.remanentBasePaise)} under the active rounding policy`
           )
         );
         continue;
       }
     }
 
-    valid.push(tx);
+    candidates.push(tx);
   }
 
-  return { valid, invalid, duplicates };
-}
+  const { kept, duplicates, groups } = resolveDuplicates(candidates, settings);
+  for (const { tx, of } of duplicates) {
+    invalid.push(buildDuplicateEntry(serializeTransaction(tx), of));
+  }
 
-function parseForFiltering(payload) {
-  const rawTransactions = assertArray(payload?.transactions, 'transactions');
-  const rawQ = assertArray(payload?.q ?? [], 'q');
-  const rawP = assertArray(payload?.p ?? [], 'p');
-  const rawK = assertArray(payload?.k ?? [], 'k');
+  return {
+    valid: kept,
+    invalid,
+    duplicates: duplicates.map(({ tx }) => serializeTransaction(tx)),
+    duplicateGroups: groups
+  };
+}
 
+// Rows are parsed as they arrive; the duplicate policy runs once all of them are in.
+function createTransactionCollector(settings, pinned = []) {
   const invalid = [];
-  const validTransactions = [];
-  const seen = new Map();
-
-  for (let i = 0; i < rawTransactions.length; i += 1) {
-    const raw = rawTransactions[i];
+  const parsed = [...pinned];
+  const rawByTx = new Map();
 
+  function add(raw, i) {
     let tx;
     try {
-      tx = parseTransactionInput(raw, i);
+      tx = parseTransactionInput(raw, i, settings);
     } catch (error) {
       if (error instanceof ApiError) {
-        invalid.push(buildInvalidTransaction(raw, 'INVALID_TRANSACTION', error.message));
-        continue;
+        invalid.push(buildInvalidTransaction(raw, 'INVALID_TRANSACTION', error.message, error));
+        return;
       }
       throw error;
     }
 
-    if (seen.has(tx.timestamp)) {
-      invalid.push(
-        buildInvalidTransaction(
-          raw,
-          'DUPLICATE_TIMESTAMP',
-          `Duplicate timestamp with transactions[${seen.get(tx.timestamp)}]`
-        )
-      );
-      continue;
-    }
+    rawByTx.set(tx, raw);
+    parsed.push(tx);
+  }
 
-    seen.set(tx.timestamp, i);
-    validTransactions.push(tx);
+  function finish() {
+    const { kept, duplicates, groups } = resolveDuplicates(parsed, settings, (tx) => tx.label ?? `transactions[${tx.inputIndex}]`);
+    for (const { tx, of } of duplicates) {
+      invalid.push(buildDuplicateEntry(rawByTx.get(tx), of));
+    }
+    return { validTransactions: kept, invalid, duplicateGroups: groups };
   }
 
-  const qPeriods = parseQPeriods(rawQ);
-  const pPeriods = parsePPeriods(rawP);
-  const kPeriods = parseKPeriods(rawK);
+  return { add, invalid, finish };
+}
+
+// Every q, p and k problem is collected so a form can show them all at once.
+function parseFilterPeriods(payload, settings) {
+  const collector = createErrorCollector();
+  const rawQ = collector.attempt(() => assertArray(payload?.q ?? [], 'q')) ?? [];
+  const rawP = collector.attempt(() => assertArray(payload?.p ?? [], 'p')) ?? [];
+  const rawK = collector.attempt(() => assertArray(payload?.k ?? [], 'k')) ?? [];
+
+  const periods = {
+    qConflict: collector.attempt(() => parseQConflict(payload?.qConflict)),
+    qPeriods: parseQPeriods(rawQ, settings.timeZone, collector),
+    pPeriods: parsePPeriods(rawP, settings.timeZone, collector),
+    kPeriods: parseKPeriods(rawK, settings.timeZone, collector)
+  };
 
-  return { validTransactions, invalid, qPeriods, pPeriods, kPeriods };
+  collector.throwIfAny('periods');
+  return periods;
 }
 
-function applyTemporalRules(validTransactions, qPeriods, pPeriods, kPeriods) {
-  const sortedTransactionIndices = validTransactions
-    .map((_, index) => index)
-    .sort((a, b) => validTransactions[a].epochSeconds - validTransactions[b].epochSeconds);
+function parseForFiltering(payload) {
+  const rawTransactions = assertArray(payload?.transactions, 'transactions');
+  const settings = parseRequestSettings(payload);
+  const collector = createTransactionCollector(settings);
+
+  for (let i = 0; i < rawTransactions.length; i += 1) {
+    collector.add(rawTransactions[i], i);
+  }
+
+  const periods = parseFilterPeriods(payload, settings);
 
-  applyQPeriods(validTransactions, qPeriods, sortedTransactionIndices);
-  applyPPeriods(validTransactions, pPeriods, sortedTransactionIndices);
+  return {
+    ...collector.finish(),
+    ...periods
+  };
+}
 
-  const savingsByDates = buildSavingsByKPeriods(validTransactions, kPeriods).map((entry) => ({
+function describeWindow(entry) {
+  return {
     start: entry.start,
     end: entry.end,
+    ...(entry.label ? { label: entry.label } : {}),
+    ...(entry.transactionCount !== undefined ? { transactionCount: entry.transactionCount } : {})
+  };
+}
+
+function parseExplainFlag(raw, transactionCount) {
+  if (raw === undefined || raw === null || raw === false) {
+    return false;
+  }
+  if (raw !== true) {
+    throw fieldError('explain', 'INVALID_TYPE', 'must be a boolean', raw);
+  }
+  if (transactionCount > MAX_EXPLAIN_TRANSACTIONS) {
+    throw fieldError('explain', 'TOO_MANY_ITEMS', `supports at most ${MAX_EXPLAIN_TRANSACTIONS} transactions`, raw);
+  }
+  return true;
+}
+
+function describeTrace(tx, trace) {
+  return {
+    index: tx.inputIndex,
+    timestamp: tx.timestamp,
+    remanentBase: moneyToFixed2(tx.remanentBasePaise),
+    remanentFinal: moneyToFixed2(tx.remanentFinalPaise),
+    ...trace
+  };
+}
+
+function describeSavingsByDates(entries, explain = false) {
+  return entries.map(({ transactionCount, ...entry }) => ({
+    ...describeWindow(explain ? { ...entry, transactionCount } : entry),
     amount: moneyToFixed2(entry.amountPaise),
     amountPaise: entry.amountPaise
   }));
+}
+
+// With `explain`, every transaction records the q period that set it, the q periods that lost,
+// the p extras added and the k windows that counted it; windows report how many they counted.
+function applyTemporalRules(validTransactions, { qPeriods, pPeriods, kPeriods, qConflict }, explain = false) {
+  const sortedTransactionIndices = validTransactions
+    .map((_, index) => index)
+    .sort((a, b) => validTransactions[a].epochSeconds - validTransactions[b].epochSeconds);
+  const traces = explain ? validTransactions.map(() => ({ q: null, p: [], k: [] })) : null;
+
+  applyQPeriods(validTransactions, qPeriods, sortedTransactionIndices, qConflict, traces);
+  applyPPeriods(validTransactions, pPeriods, sortedTransactionIndices, traces);
 
-  return savingsByDates;
+  return {
+    savingsByDates: describeSavingsByDates(buildSavingsByKPeriods(validTransactions, kPeriods, traces), explain),
+    explain: traces ? validTransactions.map((tx, index) => describeTrace(tx, traces[index])) : null
+  };
 }
 
-function normalizeInflation(value) {
+function normalizeRate(value, fieldName) {
   if (typeof value !== 'number' || !Number.isFinite(value)) {
-    throw new ApiError(400, 'inflation must be a finite number');
+    throw fieldError(fieldName, 'INVALID_NUMBER', 'must be a finite number', value);
   }
   if (value < 0) {
-    throw new ApiError(400, 'inflation cannot be negative');
+    throw fieldError(fieldName, 'OUT_OF_RANGE', 'cannot be negative', value);
   }
 
   return value > 1 ? value / 100 : value;
 }
 
-function parseAge(value) {
-  if (!Number.isInteger(value)) {
-    throw new ApiError(400, 'age must be an integer');
+function normalizeInflation(value) {
+  return normalizeRate(value, 'inflation');
+}
+
+// A bare rate is the single-segment curve [{ fromYear: 1, rate }].
+function parseRateCurve(raw, fieldName) {
+  if (!Array.isArray(raw)) {
+    return [{ fromYear: 1, rate: normalizeRate(raw, fieldName) }];
   }
-  if (value < 0 || value > 120) {
-    throw new ApiError(400, 'age must be between 0 and 120');
+  if (raw.length === 0 || raw.length > MAX_CURVE_SEGMENTS) {
+    throw fieldError(fieldName, 'TOO_MANY_ITEMS', `must have between 1 and ${MAX_CURVE_SEGMENTS} segments`, raw.length);
   }
-  return value;
-}
 
-function taxForIncome(income) {
-  if (income <= 700000) return 0;
+  let previous = 0;
+  return raw.map((segment, index) => {
+    const path = `${fieldName}[${index}]`;
+    assertPlainObject(segment, path);
 
-  if (income <= 1000000) {
-    return (income - 700000) * 0.10;
+    const { fromYear } = segment;
+    if (!Number.isInteger(fromYear)) {
+      throw fieldError(`${path}.fromYear`, 'INVALID_NUMBER', 'must be an integer', fromYear);
+    }
+    if (index === 0 && fromYear !== 1) {
+      throw fieldError(`${path}.fromYear`, 'CONSTRAINT_VIOLATION', 'must be 1 for the first segment', fromYear);
+    }
+    if (fromYear <= previous) {
+      throw fieldError(`${path}.fromYear`, 'CONSTRAINT_VIOLATION', 'must be greater than the previous segment', fromYear);
+    }
+    previous = fromYear;
+
+    return { fromYear, rate: normalizeRate(segment.rate, `${path}.rate`) };
+  });
+}
+
+function parseReturnCurves(raw) {
+  if (raw === undefined || raw === null) {
+    return new Map();
+  }
+  assertPlainObject(raw, 'returnCurves');
+
+  return new Map(Object.entries(raw).map(([id, curve]) => {
+    if (id !== 'custom' && !getInstrument(id)) {
+      throw fieldError(`returnCurves.${id}`, 'UNKNOWN_INSTRUMENT', 'is not an instrument', id);
+    }
+    return [id, parseRateCurve(curve, `returnCurves.${id}`)];
+  }));
+}
+
+function parseAge(value, fieldName = 'age') {
+  if (!Number.isInteger(value)) {
+    throw fieldError(fieldName, 'INVALID_NUMBER', 'must be an integer', value);
+  }
+  if (value < 0 || value > 120) {
+    throw fieldError(fieldName, 'OUT_OF_RANGE', 'must be between 0 and 120', value);
+  }
+  return value;
+}
+
+function parseRetirementAge(payload) {
+  return payload?.retirementAge === undefined
+    ? DEFAULT_RETIREMENT_AGE
+    : parseAge(payload.retirementAge, 'retirementAge');
+}
+
+function parseLifeExpectancy(payload) {
+  return payload?.lifeExpectancy === undefined
+    ? DEFAULT_LIFE_EXPECTANCY
+    : parseAge(payload.lifeExpectancy, 'lifeExpectancy');
+}
+
+// Anyone already at retirement age is projected five years ahead.
+function horizonYears(age, retirementAge = DEFAULT_RETIREMENT_AGE) {
+  return age < retirementAge ? retirementAge - age : 5;
+}
+
+function parseSimulationOptions(raw) {
+  if (raw === undefined || raw === null) {
+    return null;
+  }
+  if (typeof raw !== 'object' || Array.isArray(raw)) {
+    throw fieldError('simulation', 'INVALID_TYPE', 'must be an object', raw);
+  }
+
+  const { volatility } = raw;
+  if (typeof volatility !== 'number' || !Number.isFinite(volatility) || volatility < 0) {
+    throw fieldError('simulation.volatility', 'INVALID_NUMBER', 'must be a non-negative number', volatility);
   }
 
-  if (income <= 1200000) {
-    return 300000 * 0.10 + (income - 1000000) * 0.15;
+  const paths = raw.paths ?? DEFAULT_SIMULATION_PATHS;
+  if (!Number.isInteger(paths) || paths < 1 || paths > MAX_SIMULATION_PATHS) {
+    throw fieldError('simulation.paths', 'OUT_OF_RANGE', `must be an integer between 1 and ${MAX_SIMULATION_PATHS}`, paths);
   }
 
-  if (income <= 1500000) {
-    return 300000 * 0.10 + 200000 * 0.15 + (income - 1200000) * 0.20;
+  const seed = raw.seed ?? Math.floor(Math.random() * 2 ** 32);
+  if (!Number.isInteger(seed) || seed < 0 || seed >= 2 ** 32) {
+    throw fieldError('simulation.seed', 'OUT_OF_RANGE', 'must be an unsigned 32-bit integer', seed);
   }
 
-  return 300000 * 0.10 + 200000 * 0.15 + 300000 * 0.20 + (income - 1500000) * 0.30;
+  const targetPaise = raw.target !== undefined
+    ? parseNumericField(raw.target, 'simulation.target')
+    : null;
+
+  return {
+    volatility: volatility > 1 ? volatility / 100 : volatility,
+    paths,
+    seed,
+    target: targetPaise === null ? null : moneyToNumber(targetPaise)
+  };
 }
 
-function round2(value) {
-  return Math.round((value + Number.EPSILON) * 100) / 100;
+function percentileBand(sorted, scale) {
+  return Object.fromEntries(PERCENTILES.map((p) => [`p${p}`, round2(percentile(sorted, p) * scale)]));
 }
 
-function totalsFromTransactions(transactions) {
-  let amount = 0n;
-  let ceiling = 0n;
-  let remanent = 0n;
+function simulateEntry(principal, factors, discount, simulation) {
+  const result = {
+    nominal: percentileBand(factors, principal),
+    real: percentileBand(factors, principal / discount)
+  };
+
+  if (simulation.target !== null) {
+    const requiredFactor = principal > 0 ? (simulation.target * discount) / principal : Infinity;
+    result.probabilityOfTarget = round2(shareAtLeast(factors, requiredFactor) * 100) / 100;
+  }
+
+  return result;
+}
+
+function parseScheduleOptions(raw, years, timeZone) {
+  if (raw === undefined || raw === null) {
+    return null;
+  }
+  if (typeof raw !== 'object' || Array.isArray(raw)) {
+    throw fieldError('schedule', 'INVALID_TYPE', 'must be an object', raw);
+  }
+
+  const savingsRate = raw.savingsRate !== undefined ? normalizeRate(raw.savingsRate, 'schedule.savingsRate') : 0;
+  const wageGrowth = raw.wageGrowth !== undefined ? normalizeRate(raw.wageGrowth, 'schedule.wageGrowth') : 0;
+  const monthlySipPaise = raw.monthlySip !== undefined
+    ? parseNumericField(raw.monthlySip, 'schedule.monthlySip')
+    : 0n;
+
+  if (monthlySipPaise < 0n) {
+    throw fieldError('schedule.monthlySip', 'OUT_OF_RANGE', 'cannot be negative', raw.monthlySip);
+  }
+  if (raw.continueRoundUps !== undefined && typeof raw.continueRoundUps !== 'boolean') {
+    throw fieldError('schedule.continueRoundUps', 'INVALID_TYPE', 'must be a boolean', raw.continueRoundUps);
+  }
+
+  const lumpSums = assertArray(raw.lumpSums ?? [], 'schedule.lumpSums').map((lumpSum, index) => {
+    const path = `schedule.lumpSums[${index}]`;
+    const amountPaise = parseNumericField(lumpSum?.amount, `${path}.amount`);
+    const at = parseTimestampField(lumpSum?.date, `${path}.date`, timeZone);
+
+    if (amountPaise < 0n) {
+      throw fieldError(`${path}.amount`, 'OUT_OF_RANGE', 'cannot be negative', lumpSum.amount);
+    }
+    return { path, date: lumpSum.date, at, amount: moneyToNumber(amountPaise) };
+  });
+
+  return {
+    savingsRate,
+    wageGrowth,
+    monthlySip: moneyToNumber(monthlySipPaise),
+    lumpSums,
+    lumpSumsByYear: new Map(),
+    continueRoundUps: raw.continueRoundUps ?? false
+  };
+}
+
+// Year 1 starts at the projection's asOf, so lump sums land in the same year for the same request.
+function placeLumpSums(settings, asOf, years) {
+  const lumpSumsByYear = new Map();
+  if (asOf === null) {
+    return settings;
+  }
+
+  for (const { path, date, at, amount } of settings.lumpSums) {
+    const year = Math.floor((at - asOf) / SECONDS_PER_YEAR) + 1;
+    if (year < 1 || year > years) {
+      throw fieldError(`${path}.date`, 'OUT_OF_RANGE', `must fall within the ${years}-year horizon starting at asOf`, date);
+    }
+    lumpSumsByYear.set(year, (lumpSumsByYear.get(year) ?? 0) + amount);
+  }
+  return { ...settings, lumpSumsByYear };
+}
+
+function parseAssetRates(raw) {
+  if (raw === undefined) {
+    return DEFAULT_ASSET_RATES;
+  }
+  if (typeof raw !== 'object' || raw === null || Array.isArray(raw)) {
+    throw fieldError('allocation.rates', 'INVALID_TYPE', 'must be an object', raw);
+  }
+
+  return Object.fromEntries(ASSET_CLASSES.map((asset) => [
+    asset,
+    raw[asset] !== undefined ? normalizeRate(raw[asset], `allocation.rates.${asset}`) : DEFAULT_ASSET_RATES[asset]
+  ]));
+}
+
+// The unit is decided for the whole mix, so a 1% weight next to 50 and 49 stays 1%.
+function parseActiveWeights(raw) {
+  const given = Object.fromEntries(ASSET_CLASSES.map((asset) => {
+    const fieldName = `allocation.${asset}`;
+    const value = raw[asset] ?? 0;
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      throw fieldError(fieldName, 'INVALID_NUMBER', 'must be a finite number', value);
+    }
+    if (value < 0) {
+      throw fieldError(fieldName, 'OUT_OF_RANGE', 'cannot be negative', value);
+    }
+    return [asset, value];
+  }));
+
+  const givenTotal = ASSET_CLASSES.reduce((sum, asset) => sum + given[asset], 0);
+  const scale = givenTotal > 1 + 1e-6 ? 100 : 1;
+  const weights = Object.fromEntries(ASSET_CLASSES.map((asset) => [asset, given[asset] / scale]));
+
+  const total = givenTotal / scale;
+  if (Math.abs(total - 1) > 1e-6) {
+    throw new ApiError(400, 'allocation.equity, corporate and government must add up to 100', {
+      code: 'CONSTRAINT_VIOLATION',
+      path: '/allocation'
+    });
+  }
+  return weights;
+}
+
+function parseAllocation(raw, age, years) {
+  if (raw === undefined || raw === null) {
+    return null;
+  }
+  if (typeof raw !== 'object' || Array.isArray(raw)) {
+    throw fieldError('allocation', 'INVALID_TYPE', 'must be an object', raw);
+  }
+  if (!ALLOCATION_MODES.includes(raw.mode)) {
+    throw fieldError('allocation.mode', 'INVALID_ENUM', `must be one of ${ALLOCATION_MODES.join(', ')}`, raw.mode);
+  }
+
+  const lifecycle = raw.mode === 'auto' ? raw.lifecycle ?? 'moderate' : null;
+  if (raw.mode === 'auto' && !LIFECYCLE_NAMES.includes(lifecycle)) {
+    throw fieldError('allocation.lifecycle', 'INVALID_ENUM', `must be one of ${LIFECYCLE_NAMES.join(', ')}`, lifecycle);
+  }
+
+  const rates = parseAssetRates(raw.rates);
+  const weights = raw.mode === 'active' ? parseActiveWeights(raw) : null;
+  const glidePath = buildGlidePath({ mode: raw.mode, lifecycle, weights, rates, age, years });
+
+  return {
+    mode: raw.mode,
+    lifecycle,
+    rates,
+    glidePath,
+    growthFactor: glidePath.reduce((factor, row) => factor * (1 + row.rate), 1)
+  };
+}
+
+function parseAnnuityOptions(raw) {
+  if (raw !== undefined && (typeof raw !== 'object' || raw === null || Array.isArray(raw))) {
+    throw fieldError('annuity', 'INVALID_TYPE', 'must be an object', raw);
+  }
+
+  const share = raw?.share !== undefined ? normalizeRate(raw.share, 'annuity.share') : MIN_ANNUITY_SHARE;
+  if (share < MIN_ANNUITY_SHARE || share > 1) {
+    throw fieldError('annuity.share', 'OUT_OF_RANGE', `must be between ${MIN_ANNUITY_SHARE * 100} and 100`, raw?.share);
+  }
+
+  return {
+    share,
+    rate: raw?.rate !== undefined ? normalizeRate(raw.rate, 'annuity.rate') : DEFAULT_ANNUITY_RATE
+  };
+}
+
+function describeAllocation(allocation) {
+  const round4 = (value) => Math.round(value * 10000) / 10000;
+
+  return {
+    mode: allocation.mode,
+    lifecycle: allocation.lifecycle,
+    rates: allocation.rates,
+    glidePath: allocation.glidePath.map((row) => ({
+      year: row.year,
+      age: row.age,
+      equity: round4(row.equity),
+      corporate: round4(row.corporate),
+      government: round4(row.government),
+      rate: round4(row.rate)
+    }))
+  };
+}
+
+function parseTaxOptions(payload) {
+  const taxRegime = payload?.taxRegime ?? undefined;
+  const fiscalYear = payload?.fiscalYear ?? undefined;
+
+  let table;
+  try {
+    table = resolveTaxTable(taxRegime, fiscalYear);
+  } catch (error) {
+    const field = error.message.startsWith('taxRegime') ? 'taxRegime' : 'fiscalYear';
+    throw wrapFieldError(field, 'INVALID_ENUM', field === 'taxRegime' ? taxRegime : fiscalYear, error);
+  }
+
+  const claimed80CPaise = payload?.claimed80C !== undefined
+    ? parseNumericField(payload.claimed80C, 'claimed80C')
+    : 0n;
+  if (claimed80CPaise < 0n) {
+    throw fieldError('claimed80C', 'OUT_OF_RANGE', 'cannot be negative', payload.claimed80C);
+  }
+
+  return { table, claimed80C: moneyToNumber(claimed80CPaise) };
+}
+
+function roundTaxComputation(computation) {
+  return Object.fromEntries(
+    Object.entries(computation).map(([key, value]) => [key, round2(value)])
+  );
+}
+
+function deductionTaxBenefit(instrument, principal, annualIncome, taxOptions) {
+  const deductions = instrument.deduction === '80CCD'
+    ? npsDeductions(principal, annualIncome, taxOptions.table, taxOptions.claimed80C)
+    : section80CDeductions(principal, taxOptions.table, taxOptions.claimed80C);
+  const withoutContribution = computeIncomeTax(annualIncome, taxOptions.table);
+  const withContribution = computeIncomeTax(annualIncome, taxOptions.table, deductions.total);
+
+  return {
+    taxBenefit: withoutContribution.total - withContribution.total,
+    breakdown: {
+      deductions: roundTaxComputation(deductions),
+      withoutContribution: roundTaxComputation(withoutContribution),
+      withContribution: roundTaxComputation(withContribution)
+    }
+  };
+}
 
+function sumTransactions(transactions, sums = { amount: 0n, ceiling: 0n, remanent: 0n }) {
   for (const tx of transactions) {
-    amount += tx.amountPaise;
-    ceiling += tx.ceilingPaise;
-    remanent += tx.remanentFinalPaise;
+    sums.amount += tx.amountPaise;
+    sums.ceiling += tx.ceilingPaise;
+    sums.remanent += tx.remanentFinalPaise;
   }
+  return sums;
+}
 
+function describeTotals({ amount, ceiling, remanent }) {
   return {
     transactionsTotalAmount: moneyToFixed2(amount),
     transactionsTotalCeiling: moneyToFixed2(ceiling),
@@ -597,11 +1442,11 @@ function totalsFromTransactions(transactions) {
   };
 }
 
-export function parseTransactions(payload) {
-  const expenses = assertArray(payload?.expenses, 'expenses');
-
-  const transactions = expenses.map((expense, index) => buildTransactionFromExpense(expense, index));
+function totalsFromTransactions(transactions) {
+  return describeTotals(sumTransactions(transactions));
+}
 
+function summarizeParsedTransactions(transactions) {
   let totalAmount = 0n;
   let totalCeiling = 0n;
   let totalRemanent = 0n;
@@ -620,86 +1465,1138 @@ export function parseTransactions(payload) {
   };
 }
 
+function parseMessageTransactions(payload) {
+  const messages = assertArray(payload?.messages, 'messages');
+  const settings = parseRequestSettings(payload);
+  const transactions = [];
+  const unrecognized = [];
+  let skippedCredits = 0;
+
+  for (let i = 0; i < messages.length; i += 1) {
+    const message = messages[i];
+
+    let row;
+    try {
+      row = parseSmsMessage(message);
+    } catch (error) {
+      unrecognized.push({ index: i, message, reason: error.message });
+      continue;
+    }
+
+    if (row.credit) {
+      skippedCredits += 1;
+      continue;
+    }
+
+    try {
+      transactions.push(buildTransactionFromExpense(row, i, settings, `messages[${i}]`));
+    } catch (error) {
+      if (!(error instanceof ApiError)) throw error;
+      unrecognized.push({ index: i, message, reason: error.message });
+    }
+  }
+
+  return {
+    ...summarizeParsedTransactions(transactions),
+    skippedCredits,
+    unrecognized
+  };
+}
+
+export function parseTransactions(payload) {
+  if (payload?.expenses === undefined && payload?.messages !== undefined) {
+    return parseMessageTransactions(payload);
+  }
+
+  const expenses = assertArray(payload?.expenses, 'expenses');
+  const settings = parseRequestSettings(payload);
+
+  const transactions = expenses.map((expense, index) => buildTransactionFromExpense(expense, index, settings));
+
+  return summarizeParsedTransactions(transactions);
+}
+
+export function parseStatement(text, format, options = {}, requestSettings = {}) {
+  const settings = parseRequestSettings(requestSettings);
+
+  let statement;
+  try {
+    statement = format === 'ofx' ? parseOfxStatement(text) : parseCsvStatement(text, options);
+  } catch (error) {
+    throw new ApiError(400, error.message, {
+      code: 'INVALID_STATEMENT',
+      details: error.line ? { line: error.line } : null
+    });
+  }
+
+  assertArray(statement.debits, 'statement rows');
+
+  const transactions = statement.debits.map((row, index) => {
+    try {
+      return buildTransactionFromExpense(row, index, settings, `statement[line ${row.line}]`);
+    } catch (error) {
+      throw new ApiError(400, error.message, {
+        code: error.code ?? 'INVALID_STATEMENT',
+        value: error.value,
+        details: { line: row.line }
+      });
+    }
+  });
+
+  return {
+    ...summarizeParsedTransactions(transactions),
+    skippedCredits: statement.skipped
+  };
+}
+
+function parseValidatorRules(raw) {
+  try {
+    return parseAnomalyRules(raw ?? undefined);
+  } catch (error) {
+    const value = error.field ? error.field.split('.').reduce((node, key) => node?.[key], raw) : raw;
+    throw wrapFieldError(error.field ? `rules.${error.field}` : 'rules', error.code, value, error);
+  }
+}
+
 export function validateTransactions(payload) {
-  parseNumericField(payload?.wage, 'wage');
+  const wagePaise = parseNumericField(payload?.wage, 'wage');
+  if (wagePaise <= 0n) {
+    throw fieldError('wage', 'OUT_OF_RANGE', 'must be greater than 0', payload?.wage);
+  }
+  const rules = parseValidatorRules(payload?.rules);
+  const asOf = parseAsOf(payload, parseTimeZone(payload?.timezone));
 
-  const { valid, invalid, duplicates } = parseAndValidateTransactionsForValidation(payload);
+  const { valid, invalid, duplicates, duplicateGroups } = parseAndValidateTransactionsForValidation(payload);
+  const findings = detectAnomalies(valid, { wagePaise, rules, ...(asOf !== null ? { nowSeconds: asOf } : {}) });
+  const accepted = [];
+  const warnings = [];
+
+  for (const tx of valid) {
+    const serialized = serializeTransaction(tx);
+    const txFindings = findings.get(tx) ?? [];
+    const error = txFindings.find((finding) => finding.severity === 'error');
+
+    if (error) {
+      invalid.push({ ...buildInvalidTransaction(serialized, error.code, error.message), severity: 'error' });
+      continue;
+    }
+
+    accepted.push(serialized);
+    for (const finding of txFindings) {
+      warnings.push({ ...buildInvalidTransaction(serialized, finding.code, finding.message), severity: 'warning' });
+    }
+  }
 
   return {
-    valid: valid.map(serializeTransaction),
+    valid: accepted,
     invalid,
-    duplicates
+    duplicates,
+    duplicateGroups,
+    warnings
   };
 }
 
 function processFiltering(payload) {
-  const { validTransactions, invalid, qPeriods, pPeriods, kPeriods } = parseForFiltering(payload);
+  const { validTransactions, invalid, duplicateGroups, ...periods } = parseForFiltering(payload);
 
-  const savingsByDates = applyTemporalRules(validTransactions, qPeriods, pPeriods, kPeriods);
+  const explain = parseExplainFlag(payload?.explain, validTransactions.length);
+  const rules = applyTemporalRules(validTransactions, periods, explain);
 
   return {
     validTransactions,
     invalid,
-    savingsByDates
+    duplicateGroups,
+    qConflict: periods.qConflict,
+    kPeriods: periods.kPeriods,
+    ...rules
   };
 }
 
 export function filterTransactions(payload) {
-  const { validTransactions, invalid, savingsByDates } = processFiltering(payload);
+  const { validTransactions, invalid, duplicateGroups, qConflict, savingsByDates, explain } = processFiltering(payload);
 
   return {
     valid: validTransactions.map(serializeTransaction),
     invalid,
+    duplicateGroups,
+    qConflict,
     savingsByDates: savingsByDates.map(({ amountPaise, ...rest }) => rest),
-    ...totalsFromTransactions(validTransactions)
+    ...totalsFromTransactions(validTransactions),
+    ...(explain ? { explain } : {})
   };
 }
 
-export function calculateReturns(payload, instrument) {
-  if (instrument !== 'nps' && instrument !== 'index') {
-    throw new ApiError(500, 'Unsupported instrument');
+function parseCustomInstrument(raw, fieldName) {
+  if (typeof raw !== 'object' || raw === null || Array.isArray(raw)) {
+    throw fieldError(fieldName, 'INVALID_TYPE', 'must be an object', raw);
+  }
+
+  try {
+    return defineInstrument({
+      id: 'custom',
+      ...raw,
+      rate: normalizeRate(raw.rate, `${fieldName}.rate`)
+    });
+  } catch (error) {
+    if (error instanceof ApiError) throw error;
+    throw new ApiError(400, `${fieldName}: ${error.message}`, { code: 'INVALID_INSTRUMENT', path: toJsonPointer(fieldName) });
+  }
+}
+
+function resolveInstrument(id, payload) {
+  if (id === 'custom') {
+    return parseCustomInstrument(payload?.instrument, 'instrument');
+  }
+
+  const instrument = getInstrument(id);
+  if (!instrument) {
+    throw new ApiError(404, `Unknown instrument ${id}`, { code: 'UNKNOWN_INSTRUMENT', value: id });
+  }
+  return instrument;
+}
+
+function describeInstrument(instrument) {
+  const { id, name, rate, lockInYears, taxTreatment, deduction } = instrument;
+  return { id, name, rate, lockInYears, taxTreatment, deduction };
+}
+
+function formatCivilDate({ year, month, day }) {
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+// Dated compounding derives the age from dateOfBirth at asOf, and withdrawal falls on the
+// retirementAge birthday (or five years after asOf for anyone already past it).
+function parseCompounding(payload, retirementAge) {
+  const mode = payload?.compounding ?? 'horizon';
+  if (!COMPOUNDING_MODES.includes(mode)) {
+    throw fieldError('compounding', 'INVALID_ENUM', `must be one of ${COMPOUNDING_MODES.join(', ')}`, mode);
+  }
+  if (mode === 'horizon') {
+    return null;
+  }
+
+  const frequency = payload.compoundingFrequency ?? 'annual';
+  if (!Object.hasOwn(COMPOUNDING_FREQUENCIES, frequency)) {
+    throw fieldError(
+      'compoundingFrequency',
+      'INVALID_ENUM',
+      `must be one of ${Object.keys(COMPOUNDING_FREQUENCIES).join(', ')}`,
+      frequency
+    );
   }
+  for (const field of ['asOf', 'dateOfBirth']) {
+    if (payload[field] === undefined) {
+      throw fieldError(field, 'REQUIRED', 'is required when compounding is dated');
+    }
+  }
+
+  const timeZone = parseTimeZone(payload.timezone);
+  const asOf = parseTimestampField(payload.asOf, 'asOf', timeZone);
+  let birth;
+  try {
+    birth = parseCivilDate(payload.dateOfBirth, 'dateOfBirth');
+  } catch (error) {
+    throw wrapFieldError('dateOfBirth', 'INVALID_TIMESTAMP', payload.dateOfBirth, error);
+  }
+
+  const asOfDate = civilDateOfEpoch(asOf, timeZone);
+  const age = completedYearsBetween(birth, asOfDate);
+  if (age < 0 || age > 120) {
+    throw fieldError('dateOfBirth', 'OUT_OF_RANGE', 'must give an age between 0 and 120 at asOf', payload.dateOfBirth);
+  }
+  if (payload.age !== undefined && parseAge(payload.age) !== age) {
+    throw fieldError('age', 'CONSTRAINT_VIOLATION', `does not match dateOfBirth at asOf (${age})`, payload.age);
+  }
+
+  const withdrawal = age < retirementAge ? addYearsToDate(birth, retirementAge) : addYearsToDate(asOfDate, 5);
+  const withdrawalEpoch = startOfDayEpochSeconds(withdrawal, timeZone);
+
+  return {
+    frequency,
+    periodsPerYear: COMPOUNDING_FREQUENCIES[frequency],
+    timeZone,
+    asOf,
+    dateOfBirth: formatCivilDate(birth),
+    age,
+    withdrawalDate: formatCivilDate(withdrawal),
+    withdrawalEpoch,
+    years: yearFraction(asOf, withdrawalEpoch)
+  };
+}
 
-  const age = parseAge(payload?.age);
-  const inflationRate = normalizeInflation(payload?.inflation);
+// Only deductions and slab-rated withdrawals read the income-tax table; other instruments ignore the tax options.
+function usesIncomeTax(instrument) {
+  return instrument.deduction !== null || instrument.taxTreatment === 'nps' || instrument.taxTreatment === 'slab';
+}
+
+function parseProjectionContext(payload, instruments) {
+  const retirementAge = parseRetirementAge(payload);
+  const dated = parseCompounding(payload, retirementAge);
+  const age = dated ? dated.age : parseAge(payload?.age);
+  const inflationCurve = parseRateCurve(payload?.inflation, 'inflation');
+  const returnCurves = parseReturnCurves(payload?.returnCurves);
   const wagePaise = parseNumericField(payload?.wage, 'wage');
 
   if (wagePaise <= 0n) {
-    throw new ApiError(400, 'wage must be greater than 0');
+    throw fieldError('wage', 'OUT_OF_RANGE', 'must be greater than 0', payload?.wage);
   }
 
-  const years = age < 60 ? 60 - age : 5;
+  const years = horizonYears(age, retirementAge);
   const annualIncome = moneyToNumber(wagePaise) * 12;
-  const annualNpsCap = annualIncome * 0.10;
+  const taxOptions = instruments.some(usesIncomeTax) ? parseTaxOptions(payload) : null;
+  const timeZone = parseTimeZone(payload?.timezone);
+  const asOf = dated ? dated.asOf : parseAsOf(payload, timeZone);
+  const npsAllocation = parseAllocation(payload?.allocation, age, years);
+  const priceLevel = (year) => compoundFactor(inflationCurve, year);
+
+  if (npsAllocation && returnCurves.has('nps')) {
+    throw fieldError('returnCurves.nps', 'CONSTRAINT_VIOLATION', 'cannot be combined with allocation', payload.returnCurves.nps);
+  }
+
+  const hasCurves = Array.isArray(payload?.inflation) || returnCurves.size > 0;
+
+  return {
+    age,
+    years,
+    lifeExpectancy: parseLifeExpectancy(payload),
+    dated,
+    priceLevel,
+    inflationDiscount: priceLevel(dated ? dated.years : years),
+    returnCurves,
+    curves: hasCurves ? { inflation: inflationCurve, returns: Object.fromEntries(returnCurves) } : null,
+    annualIncome,
+    taxOptions,
+    npsAllocation,
+    annuity: parseAnnuityOptions(payload?.annuity),
+    slabRate: taxOptions ? marginalTaxRate(annualIncome, taxOptions.table) : null,
+    timeZone,
+    asOf,
+    withdrawalDate: dated ? dated.withdrawalDate : null,
+    withdrawalRule: dated ? resolveWithdrawalRule(dated.withdrawalDate) : null
+  };
+}
+
+function parseAsOf(payload, timeZone) {
+  if (payload?.asOf === undefined || payload.asOf === null) {
+    return null;
+  }
+  return parseTimestampField(payload.asOf, 'asOf', timeZone);
+}
+
+// Without asOf a horizon projection starts at the latest transaction, or the latest k window end when there is none,
+// so the withdrawal date and its tax rules follow the request rather than the server clock.
+function anchorProjection(context, validTransactions, kPeriods) {
+  if (context.dated) {
+    return context;
+  }
+
+  let asOf = context.asOf;
+  if (asOf === null) {
+    const latest = validTransactions.length > 0 ? validTransactions : kPeriods.map((period) => ({ epochSeconds: period.end }));
+    asOf = latest.reduce((max, entry) => Math.max(max, entry.epochSeconds), -Infinity);
+    if (asOf === -Infinity) asOf = null;
+  }
+  if (asOf === null) {
+    return context;
+  }
+
+  const withdrawalDate = formatCivilDate(addYearsToDate(civilDateOfEpoch(asOf, context.timeZone), context.years));
+  return { ...context, asOf, withdrawalDate, withdrawalRule: resolveWithdrawalRule(withdrawalDate) };
+}
 
-  const { validTransactions, savingsByDates } = processFiltering(payload);
+function projectionSummary(context) {
+  return {
+    ...(context.taxOptions
+      ? { tax: { regime: context.taxOptions.table.regime, fiscalYear: context.taxOptions.table.fiscalYear } }
+      : {}),
+    withdrawal: {
+      date: context.withdrawalDate,
+      age: context.age + context.years,
+      rulesEffectiveFrom: context.withdrawalRule?.effectiveFrom ?? null
+    },
+    ...(context.curves ? { curves: context.curves } : {})
+  };
+}
 
-  const growthRate = instrument === 'nps' ? NPS_RATE : INDEX_RATE;
+function growthRatesFor(instrument, context) {
+  if (instrument.id === 'nps' && context.npsAllocation) {
+    return context.npsAllocation.glidePath.map((row) => row.rate);
+  }
+  const curve = context.returnCurves.get(instrument.id);
+  return curve ? curveRates(curve, 1, context.years) : null;
+}
+
+function growthCurveFor(instrument, context) {
+  if (instrument.id === 'nps' && context.npsAllocation) {
+    return context.npsAllocation.glidePath.map((row, index) => ({ fromYear: index + 1, rate: row.rate }));
+  }
+  return context.returnCurves.get(instrument.id) ?? [{ fromYear: 1, rate: instrument.rate }];
+}
+
+function growthFactorFor(instrument, context) {
+  if (instrument.id === 'nps' && context.npsAllocation) {
+    return context.npsAllocation.growthFactor;
+  }
+  const curve = context.returnCurves.get(instrument.id);
+  return curve ? compoundFactor(curve, context.years) : (1 + instrument.rate) ** context.years;
+}
+
+function projectPrincipal(principal, instrument, context, nominal = principal * growthFactorFor(instrument, context)) {
+  const profits = nominal - principal;
+
+  const tax = instrument.deduction
+    ? deductionTaxBenefit(instrument, principal, context.annualIncome, context.taxOptions)
+    : null;
+  const taxOnWithdrawal = withdrawalTax(instrument.taxTreatment, {
+    corpus: nominal,
+    gain: profits,
+    slabRate: context.slabRate,
+    rule: context.withdrawalRule,
+    lumpSumShare: 1 - context.annuity.share
+  });
+  const postTaxValue = nominal - taxOnWithdrawal;
+
+  return {
+    amount: round2(principal),
+    profits: round2(profits),
+    taxBenefit: round2(tax?.taxBenefit ?? 0),
+    realValue: round2(nominal / context.inflationDiscount),
+    taxOnWithdrawal: round2(taxOnWithdrawal),
+    postTaxValue: round2(postTaxValue),
+    postTaxRealValue: round2(postTaxValue / context.inflationDiscount),
+    lockInMet: instrument.lockInYears === null || context.years >= instrument.lockInYears,
+    ...(tax ? { taxBreakdown: tax.breakdown } : {}),
+    ...(instrument.id === 'nps' ? { annuity: projectAnnuity(nominal, context) } : {})
+  };
+}
+
+function projectAnnuity(corpus, context) {
+  const split = annuitySplit(corpus, context.annuity.share, context.annuity.rate);
+  return {
+    lumpSum: round2(split.lumpSum),
+    annuityPurchase: round2(split.annuityPurchase),
+    monthlyPension: round2(split.monthlyPension),
+    realMonthlyPension: round2(split.monthlyPension / context.inflationDiscount)
+  };
+}
+
+function npsSummary(context) {
+  return {
+    ...(context.npsAllocation ? { allocation: describeAllocation(context.npsAllocation) } : {}),
+    annuity: { share: context.annuity.share, rate: context.annuity.rate }
+  };
+}
 
-  const enrichedSavings = savingsByDates.map((entry) => {
+function parseDrawdownOptions(raw, context) {
+  if (raw === undefined || raw === null) {
+    return null;
+  }
+  if (typeof raw !== 'object' || Array.isArray(raw)) {
+    throw fieldError('drawdown', 'INVALID_TYPE', 'must be an object', raw);
+  }
+
+  const startAge = context.age + context.years;
+  if (context.lifeExpectancy <= startAge) {
+    throw fieldError(
+      'lifeExpectancy',
+      'OUT_OF_RANGE',
+      `must be greater than the age at withdrawal (${startAge})`,
+      context.lifeExpectancy
+    );
+  }
+
+  const withdrawalPaise = raw.monthlyWithdrawal !== undefined
+    ? parseNumericField(raw.monthlyWithdrawal, 'drawdown.monthlyWithdrawal')
+    : null;
+  if (withdrawalPaise !== null && withdrawalPaise < 0n) {
+    throw fieldError('drawdown.monthlyWithdrawal', 'OUT_OF_RANGE', 'cannot be negative', raw.monthlyWithdrawal);
+  }
+
+  return {
+    monthlyWithdrawal: withdrawalPaise === null ? null : moneyToNumber(withdrawalPaise),
+    rate: raw.rate !== undefined ? normalizeRate(raw.rate, 'drawdown.rate') : null,
+    startAge,
+    years: context.lifeExpectancy - startAge
+  };
+}
+
+// A return curve carries on past the horizon; a glide path keeps its last rate.
+function drawdownRatesFor(instrument, context, drawdown, growthRates) {
+  if (drawdown.rate !== null) {
+    return drawdown.rate;
+  }
+  const curve = context.returnCurves.get(instrument.id);
+  if (curve) {
+    return curveRates(curve, context.years + 1, drawdown.years);
+  }
+  return growthRates?.at(-1) ?? instrument.rate;
+}
+
+// NPS draws down the lump sum left after the annuity purchase, and the pension covers part of each withdrawal.
+function projectDrawdown(projection, context, drawdown, rate) {
+  return buildDrawdown({
+    corpus: projection.postTaxValue - (projection.annuity?.annuityPurchase ?? 0),
+    years: drawdown.years,
+    startAge: drawdown.startAge,
+    startYear: Number(context.withdrawalDate.slice(0, 4)),
+    yearsToRetirement: context.dated?.years ?? context.years,
+    growthRate: rate,
+    priceLevel: context.priceLevel,
+    monthlyPension: projection.annuity?.monthlyPension ?? 0,
+    monthlyWithdrawal: drawdown.monthlyWithdrawal
+  });
+}
+
+export function validateLedgerProfile(profile) {
+  parseRequestSettings(profile);
+  parseTaxOptions(profile);
+  parseQConflict(profile.qConflict);
+
+  if (profile.age !== undefined) {
+    parseAge(profile.age);
+  }
+  if (profile.inflation !== undefined) {
+    parseRateCurve(profile.inflation, 'inflation');
+  }
+  parseReturnCurves(profile.returnCurves);
+  parseRetirementAge(profile);
+  parseLifeExpectancy(profile);
+  if (profile.wage !== undefined && parseNumericField(profile.wage, 'wage') <= 0n) {
+    throw fieldError('wage', 'OUT_OF_RANGE', 'must be greater than 0', profile.wage);
+  }
+}
+
+export function prepareLedgerTransactions(payload, stored = []) {
+  const rawTransactions = assertArray(payload?.transactions, 'transactions');
+  const settings = parseRequestSettings(payload);
+  const pinned = stored.map((record, index) => ({
+    ...parseTransactionInput(record, index, settings),
+    pinned: true,
+    label: `stored transaction ${record.id}`
+  }));
+  const collector = createTransactionCollector(settings, pinned);
+
+  for (let i = 0; i < rawTransactions.length; i += 1) {
+    collector.add(rawTransactions[i], i);
+  }
+
+  const { validTransactions, invalid } = collector.finish();
+  const records = validTransactions.map((tx) => {
+    const raw = rawTransactions[tx.inputIndex];
+    return {
+      timestamp: tx.timestamp,
+      amount: moneyToFixed2(tx.amountPaise),
+      ...(raw.ceiling !== undefined ? { ceiling: moneyToFixed2(tx.ceilingPaise) } : {}),
+      ...(typeof raw.merchant === 'string' ? { merchant: raw.merchant } : {})
+    };
+  });
+
+  return { records, invalid };
+}
+
+export function validateLedgerPeriods(payload) {
+  parseFilterPeriods(payload, parseRequestSettings(payload));
+}
+
+// Rows are parsed as they arrive but held until results(): duplicates and k windows need the whole body.
+// Rows must arrive in time order: each one is settled against the q and p sweeps and the k tally as soon as
+// its second is complete, so only the rows sharing the latest second are held, for exact-duplicate resolution.
+export function createFilterStream(header) {
+  if (typeof header !== 'object' || header === null || Array.isArray(header)) {
+    throw new ApiError(400, 'first NDJSON record must be a header object', { code: 'INVALID_TYPE', path: '' });
+  }
+  if (header.transactions !== undefined) {
+    throw fieldError('transactions', 'CONSTRAINT_VIOLATION', 'cannot be carried by the header record; send one per line');
+  }
+
+  const settings = parseRequestSettings(header);
+  if (settings.duplicatePolicy.toleranceSeconds > 0) {
+    throw fieldError(
+      'duplicatePolicy.toleranceSeconds',
+      'CONSTRAINT_VIOLATION',
+      'must be 0 for NDJSON streams, which only match duplicates within the same second',
+      header.duplicatePolicy.toleranceSeconds
+    );
+  }
+
+  const { qPeriods, pPeriods, kPeriods, qConflict } = parseFilterPeriods(header, settings);
+  const tally = createKWindowTally(kPeriods);
+  const sums = { amount: 0n, ceiling: 0n, remanent: 0n };
+  let sweeps = null;
+  let pending = [];
+  let rawByTx = new Map();
+  let latest = null;
+  let count = 0;
+
+  function settle(tx) {
+    if (!sweeps) {
+      const span = { from: tx.epochSeconds };
+      sweeps = { q: createQSweep(qPeriods, span, qConflict), p: createPSweep(pPeriods, span) };
+    }
+
+    const winner = sweeps.q.winnerAt(tx.epochSeconds);
+    tx.remanentFinalPaise = (winner ? winner.fixedPaise : tx.remanentBasePaise) + sweeps.p.extraAt(tx.epochSeconds);
+    tally.add(tx);
+    sumTransactions([tx], sums);
+    return { type: 'valid', ...serializeTransaction(tx) };
+  }
+
+  function* flush() {
+    const { kept, duplicates, groups } = resolveDuplicates(pending, settings);
+    for (const tx of kept) {
+      yield settle(tx);
+    }
+    for (const { tx, of } of duplicates) {
+      yield { type: 'invalid', ...buildDuplicateEntry(rawByTx.get(tx), of) };
+    }
+    for (const group of groups) {
+      yield { type: 'duplicateGroup', ...group };
+    }
+    pending = [];
+    rawByTx = new Map();
+  }
+
+  function countRecord() {
+    if (count >= MAX_RECORDS) {
+      throw fieldError('transactions', 'TOO_MANY_ITEMS', `cannot exceed ${MAX_RECORDS} records`);
+    }
+    count += 1;
+    return count - 1;
+  }
+
+  return {
+    * add(raw) {
+      const index = countRecord();
+      let tx;
+      try {
+        tx = parseTransactionInput(raw, index, settings);
+      } catch (error) {
+        if (error instanceof ApiError) {
+          yield { type: 'invalid', ...buildInvalidTransaction(raw, 'INVALID_TRANSACTION', error.message, error) };
+          return;
+        }
+        throw error;
+      }
+
+      if (latest && tx.epochSeconds < latest.epochSeconds) {
+        yield {
+          type: 'invalid',
+          ...buildInvalidTransaction(raw, 'OUT_OF_ORDER', `is earlier than the previous row at ${latest.timestamp}; rows must be sorted by time`)
+        };
+        return;
+      }
+      if (latest && tx.epochSeconds > latest.epochSeconds) {
+        yield* flush();
+      }
+
+      latest = tx;
+      pending.push(tx);
+      rawByTx.set(tx, raw);
+    },
+
+    * addUnparseable(line, message) {
+      countRecord();
+      yield { type: 'invalid', ...buildInvalidTransaction(line, 'INVALID_TRANSACTION', message) };
+    },
+
+    * finish() {
+      yield* flush();
+      for (const { amountPaise, ...entry } of describeSavingsByDates(tally.finish())) {
+        yield { type: 'savingsByDates', ...entry };
+      }
+      yield { type: 'totals', ...describeTotals(sums), qConflict };
+    }
+  };
+}
+
+function assertHorizonCompounding(context, feature) {
+  if (context.dated) {
+    throw fieldError('compounding', 'CONSTRAINT_VIOLATION', `dated cannot be combined with ${feature}`, 'dated');
+  }
+}
+
+function roundRate(rate) {
+  return rate === null ? null : Math.round(rate * 1e6) / 1e6;
+}
+
+// Each remanent accrues from its own timestamp to the withdrawal date, and a window is the sum of its dated
+// cash flows. The XIRR treats remanents as contributions and the window's nominal corpus as the payout.
+function projectDatedWindows(validTransactions, kPeriods, instrument, context) {
+  const { asOf, withdrawalEpoch, periodsPerYear } = context.dated;
+  const curve = growthCurveFor(instrument, context);
+  const horizon = yearFraction(asOf, withdrawalEpoch);
+
+  const sorted = [...validTransactions].sort((a, b) => a.epochSeconds - b.epochSeconds);
+  const times = sorted.map((tx) => tx.epochSeconds);
+  const values = sorted.map((tx) => {
+    const from = Math.min(yearFraction(asOf, tx.epochSeconds), horizon);
+    return moneyToNumber(tx.remanentFinalPaise) * accrualFactor(curve, from, horizon, periodsPerYear);
+  });
+
+  return kPeriods.map((period) => {
+    const left = lowerBound(times, period.start);
+    const rightExclusive = upperBound(times, period.end);
+    let nominal = 0;
+    const flows = [];
+
+    for (let i = left; i < rightExclusive; i += 1) {
+      nominal += values[i];
+      if (sorted[i].remanentFinalPaise > 0n) {
+        flows.push({ epochSeconds: Math.min(times[i], withdrawalEpoch), amount: -moneyToNumber(sorted[i].remanentFinalPaise) });
+      }
+    }
+    if (flows.length > 0) {
+      flows.push({ epochSeconds: withdrawalEpoch, amount: nominal });
+    }
+
+    const first = flows[0]?.epochSeconds;
+    return {
+      nominal,
+      xirr: roundRate(xirr(flows.map((flow) => ({ years: yearFraction(first, flow.epochSeconds), amount: flow.amount }))))
+    };
+  });
+}
+
+function describeCompounding(dated) {
+  return {
+    mode: 'dated',
+    frequency: dated.frequency,
+    asOf: formatEpochSecondsToTimestamp(dated.asOf, dated.timeZone),
+    dateOfBirth: dated.dateOfBirth,
+    age: dated.age,
+    years: round2(dated.years)
+  };
+}
+
+export function calculateReturns(payload, instrumentId) {
+  const instrument = resolveInstrument(instrumentId, payload);
+  const parsedContext = parseProjectionContext(payload, [instrument]);
+  const { age, years, inflationDiscount, annualIncome, taxOptions } = parsedContext;
+  const simulation = parseSimulationOptions(payload?.simulation);
+  const parsedSchedule = parseScheduleOptions(payload?.schedule, years, parsedContext.timeZone);
+  const drawdown = parseDrawdownOptions(payload?.drawdown, parsedContext);
+  if (simulation) assertHorizonCompounding(parsedContext, 'simulation');
+  if (parsedSchedule) assertHorizonCompounding(parsedContext, 'schedule');
+
+  const { validTransactions, qConflict, kPeriods, savingsByDates, explain } = processFiltering(payload);
+  const context = anchorProjection(parsedContext, validTransactions, kPeriods);
+  const scheduleSettings = parsedSchedule ? placeLumpSums(parsedSchedule, context.asOf, years) : null;
+  const datedWindows = context.dated ? projectDatedWindows(validTransactions, kPeriods, instrument, context) : null;
+
+  // Simulations and schedules follow the glide path when NPS allocation is set.
+  const growthRates = growthRatesFor(instrument, context);
+  const effectiveRate = growthFactorFor(instrument, context) ** (1 / years) - 1;
+  const growthFactors = simulation
+    ? simulateGrowthFactors({ rate: effectiveRate, years, ...simulation })
+    : null;
+  const drawdownRate = drawdown ? drawdownRatesFor(instrument, context, drawdown, growthRates) : null;
+
+  const scheduleFor = (principal, settings) => buildSchedule({
+    principal,
+    years,
+    age,
+    growthRate: growthRates ?? instrument.rate,
+    priceLevel: context.priceLevel,
+    annualWage: annualIncome,
+    settings,
+    taxBenefitFor: instrument.deduction
+      ? (contribution, wage) => deductionTaxBenefit(instrument, contribution, wage, taxOptions).taxBenefit
+      : null
+  });
+  // SIP, savings-rate and lump-sum contributions belong to the user, not to any one window, so they are
+  // scheduled once at the top level; window schedules carry only the window amount and its round-ups.
+  const windowScheduleSettings = scheduleSettings
+    ? { ...scheduleSettings, savingsRate: 0, monthlySip: 0, lumpSumsByYear: new Map() }
+    : null;
+
+  const enrichedSavings = savingsByDates.map((entry, index) => {
     const principal = moneyToNumber(entry.amountPaise);
-    const nominal = principal * ((1 + growthRate) ** years);
-    const profits = nominal - principal;
-    const realValue = nominal / ((1 + inflationRate) ** years);
+    const projection = projectPrincipal(principal, instrument, context, datedWindows?.[index].nominal);
+
+    return {
+      ...describeWindow(entry),
+      ...projection,
+      ...(datedWindows ? { xirr: datedWindows[index].xirr } : {}),
+      ...(simulation ? { simulation: simulateEntry(principal, growthFactors, inflationDiscount, simulation) } : {}),
+      ...(windowScheduleSettings ? { schedule: scheduleFor(principal, windowScheduleSettings) } : {}),
+      ...(drawdown ? { drawdown: projectDrawdown(projection, context, drawdown, drawdownRate) } : {})
+    };
+  });
 
-    let taxBenefit = 0;
-    if (instrument === 'nps') {
-      const eligibleDeduction = Math.min(principal, annualNpsCap, NPS_DEDUCTION_CAP_RUPEES);
-      taxBenefit = taxForIncome(annualIncome) - taxForIncome(Math.max(annualIncome - eligibleDeduction, 0));
+  return {
+    ...totalsFromTransactions(validTransactions),
+    qConflict,
+    instrument: describeInstrument(instrument),
+    ...projectionSummary(context),
+    ...(context.dated ? { compounding: describeCompounding(context.dated) } : {}),
+    ...(instrument.id === 'nps' ? npsSummary(context) : {}),
+    ...(simulation ? { simulation: { volatility: simulation.volatility, paths: simulation.paths, seed: simulation.seed } } : {}),
+    ...(scheduleSettings ? { schedule: scheduleFor(0, { ...scheduleSettings, continueRoundUps: false }) } : {}),
+    ...(drawdown ? {
+      drawdown: {
+        startAge: drawdown.startAge,
+        lifeExpectancy: context.lifeExpectancy,
+        years: drawdown.years,
+        rate: drawdownRate
+      }
+    } : {}),
+    savingsByDates: enrichedSavings,
+    ...(explain ? { explain } : {})
+  };
+}
+
+function parseCompareInstruments(raw) {
+  if (raw === undefined) {
+    return listInstruments();
+  }
+
+  const entries = assertArray(raw, 'instruments');
+  if (entries.length === 0) {
+    throw fieldError('instruments', 'TOO_MANY_ITEMS', 'must not be empty', raw);
+  }
+
+  const seen = new Set();
+  return entries.map((entry, index) => {
+    const instrument = typeof entry === 'string'
+      ? resolveInstrument(entry, null)
+      : parseCustomInstrument(entry, `instruments[${index}]`);
+
+    if (seen.has(instrument.id)) {
+      throw fieldError(`instruments[${index}]`, 'CONSTRAINT_VIOLATION', `duplicates instrument ${instrument.id}`, entry);
     }
+    seen.add(instrument.id);
+    return instrument;
+  });
+}
+
+export function compareReturns(payload) {
+  const instruments = parseCompareInstruments(payload?.instruments);
+  const parsedContext = parseProjectionContext(payload, instruments);
+  assertHorizonCompounding(parsedContext, 'returns:compare');
 
+  const { validTransactions, qConflict, kPeriods, savingsByDates, explain } = processFiltering(payload);
+  const context = anchorProjection(parsedContext, validTransactions, kPeriods);
+
+  return {
+    ...totalsFromTransactions(validTransactions),
+    qConflict,
+    instruments: instruments.map(describeInstrument),
+    ...projectionSummary(context),
+    savingsByDates: savingsByDates.map((entry) => {
+      const principal = moneyToNumber(entry.amountPaise);
+      const ranking = instruments
+        .map((instrument, order) => ({
+          instrument: instrument.id,
+          order,
+          ...projectPrincipal(principal, instrument, context)
+        }))
+        .sort((a, b) => b.postTaxRealValue - a.postTaxRealValue || a.order - b.order)
+        .map(({ order, amount, ...rest }, index) => ({ rank: index + 1, ...rest }));
+
+      return {
+        ...describeWindow(entry),
+        amount: round2(principal),
+        ranking
+      };
+    }),
+    ...(explain ? { explain } : {})
+  };
+}
+
+function parseGridAxis(values, fallback, fieldName, parseValue) {
+  if (values === undefined) {
+    return fallback;
+  }
+
+  const axis = assertArray(values, fieldName);
+  if (axis.length === 0) {
+    throw fieldError(fieldName, 'TOO_MANY_ITEMS', 'must not be empty', values);
+  }
+  return axis.map((value, index) => parseValue(value, `${fieldName}[${index}]`));
+}
+
+function assertSensitivityCells(cells) {
+  if (cells > MAX_SENSITIVITY_CELLS) {
+    throw fieldError('grid', 'TOO_MANY_ITEMS', `cannot exceed ${MAX_SENSITIVITY_CELLS} cells across k windows (got ${cells})`);
+  }
+}
+
+export function calculateSensitivity(payload) {
+  const grid = payload?.grid ?? {};
+  if (typeof grid !== 'object' || Array.isArray(grid)) {
+    throw fieldError('grid', 'INVALID_TYPE', 'must be an object', grid);
+  }
+
+  const defaultRates = [getInstrument('nps').rate, getInstrument('index').rate];
+  const rates = parseGridAxis(grid.rates, defaultRates, 'grid.rates', normalizeRate);
+  const inflations = parseGridAxis(
+    grid.inflations,
+    payload?.inflation !== undefined ? [normalizeInflation(payload.inflation)] : undefined,
+    'grid.inflations',
+    normalizeRate
+  );
+  const retirementAge = parseRetirementAge(payload);
+  const ages = parseGridAxis(
+    grid.ages,
+    payload?.age !== undefined ? [parseAge(payload.age)] : undefined,
+    'grid.ages',
+    parseAge
+  );
+
+  if (!inflations) {
+    throw new ApiError(400, 'grid.inflations or inflation is required', { code: 'REQUIRED', path: '/grid/inflations' });
+  }
+  if (!ages) {
+    throw new ApiError(400, 'grid.ages or age is required', { code: 'REQUIRED', path: '/grid/ages' });
+  }
+
+  // The grid alone is checked before filtering so an oversized one fails fast; each k window repeats it.
+  const gridCells = rates.length * inflations.length * ages.length;
+  assertSensitivityCells(gridCells);
+
+  const { validTransactions, qConflict, savingsByDates, explain } = processFiltering(payload);
+  assertSensitivityCells(gridCells * savingsByDates.length);
+
+  const projections = ages.map((age) => {
+    const years = horizonYears(age, retirementAge);
     return {
-      start: entry.start,
-      end: entry.end,
-      amount: round2(principal),
-      profits: round2(profits),
-      taxBenefit: round2(taxBenefit),
-      realValue: round2(realValue)
+      age,
+      years,
+      growth: rates.map((rate) => (1 + rate) ** years),
+      discount: inflations.map((inflation) => (1 + inflation) ** years)
+    };
+  });
+
+  return {
+    ...totalsFromTransactions(validTransactions),
+    qConflict,
+    grid: { rates, inflations, ages },
+    savingsByDates: savingsByDates.map((entry) => {
+      const principal = moneyToNumber(entry.amountPaise);
+
+      return {
+        ...describeWindow(entry),
+        amount: round2(principal),
+        projections: projections.map(({ age, years, growth, discount }) => ({
+          age,
+          years,
+          nominal: growth.map((factor) => round2(principal * factor)),
+          realValue: growth.map((factor) => discount.map((divisor) => round2((principal * factor) / divisor)))
+        }))
+      };
+    }),
+    ...(explain ? { explain } : {})
+  };
+}
+
+function parseGoalInstrument(raw) {
+  if (raw === undefined) {
+    return getInstrument('nps');
+  }
+  return typeof raw === 'string' ? resolveInstrument(raw, null) : parseCustomInstrument(raw, 'instrument');
+}
+
+function parseGoalLevers(raw) {
+  if (raw === undefined) {
+    return GOAL_LEVERS;
+  }
+  if (!GOAL_LEVERS.includes(raw)) {
+    throw fieldError('solveFor', 'INVALID_ENUM', `must be one of ${GOAL_LEVERS.join(', ')}`, raw);
+  }
+  return [raw];
+}
+
+function ceil2(value) {
+  return Math.ceil(round2(value * 100)) / 100;
+}
+
+// The saved remanents are invested today, and the observed monthly pace continues to the end of the horizon.
+function goalTrajectory(validTransactions, instrument, context) {
+  let saved = 0n;
+  let first = Infinity;
+  let last = -Infinity;
+
+  for (const tx of validTransactions) {
+    saved += tx.remanentFinalPaise;
+    first = Math.min(first, tx.epochSeconds);
+    last = Math.max(last, tx.epochSeconds);
+  }
+
+  const months = validTransactions.length > 0 ? Math.max(1, (last - first) / SECONDS_PER_MONTH) : 1;
+  const principal = moneyToNumber(saved);
+  const growthFactor = growthFactorFor(instrument, context);
+  const contributionFactor = monthlyContributionFactor(growthFactor, context.years);
+  const monthlySaving = principal / months;
+  const nominal = principal * growthFactor + monthlySaving * contributionFactor;
+
+  return {
+    months,
+    transactionsPerMonth: validTransactions.length / months,
+    principal,
+    monthlySaving,
+    growthFactor,
+    contributionFactor,
+    nominal,
+    realValue: nominal / context.inflationDiscount
+  };
+}
+
+// Supplied ceilings only fit the request's own multiple, so every candidate recomputes them.
+function solveRoundingMultiple(payload, instrument, context, target) {
+  const transactions = payload.transactions.map((tx) => {
+    if (typeof tx !== 'object' || tx === null) return tx;
+    const { ceiling, ...rest } = tx;
+    return rest;
+  });
+
+  const candidates = ROUNDING_MULTIPLES_RUPEES.map((multiple) => {
+    const { validTransactions } = processFiltering({
+      ...payload,
+      transactions,
+      rounding: { ...payload.rounding, multiple },
+      explain: false
+    });
+    return { multiple, projectedRealValue: round2(goalTrajectory(validTransactions, instrument, context).realValue) };
+  });
+
+  return {
+    multiple: candidates.find((candidate) => candidate.projectedRealValue >= target)?.multiple ?? null,
+    candidates
+  };
+}
+
+export function calculateGoal(payload) {
+  const instrument = parseGoalInstrument(payload?.instrument);
+  const parsedContext = parseProjectionContext(payload, [instrument]);
+  assertHorizonCompounding(parsedContext, 'returns:goal');
+  const levers = parseGoalLevers(payload?.solveFor);
+  const targetPaise = parseNumericField(payload?.target, 'target');
+
+  if (targetPaise <= 0n) {
+    throw fieldError('target', 'OUT_OF_RANGE', 'must be greater than 0', payload?.target);
+  }
+
+  const { validTransactions, qConflict, kPeriods, explain } = processFiltering(payload);
+  const context = anchorProjection(parsedContext, validTransactions, kPeriods);
+
+  const target = moneyToNumber(targetPaise);
+  const trajectory = goalTrajectory(validTransactions, instrument, context);
+  const gap = round2(target - trajectory.realValue);
+
+  const requiredMonthly = Math.max(
+    trajectory.monthlySaving,
+    (target * context.inflationDiscount - trajectory.principal * trajectory.growthFactor) / trajectory.contributionFactor
+  );
+  const additionalMonthly = gap > 0 ? ceil2(requiredMonthly - trajectory.monthlySaving) : 0;
+
+  const solutions = {};
+  if (levers.includes('monthlySaving')) {
+    solutions.monthlySaving = {
+      required: round2(trajectory.monthlySaving + additionalMonthly),
+      additional: additionalMonthly
     };
+  }
+  if (levers.includes('extra')) {
+    solutions.extra = {
+      perTransaction: trajectory.transactionsPerMonth > 0 ? ceil2(additionalMonthly / trajectory.transactionsPerMonth) : null
+    };
+  }
+  if (levers.includes('rounding')) {
+    solutions.rounding = solveRoundingMultiple(payload, instrument, context, target);
+  }
+
+  return {
+    ...totalsFromTransactions(validTransactions),
+    qConflict,
+    instrument: describeInstrument(instrument),
+    ...projectionSummary(context),
+    target: round2(target),
+    trajectory: {
+      monthsObserved: round2(trajectory.months),
+      transactionsPerMonth: round2(trajectory.transactionsPerMonth),
+      monthlySaving: round2(trajectory.monthlySaving),
+      projectedValue: round2(trajectory.nominal),
+      projectedRealValue: round2(trajectory.realValue)
+    },
+    gap,
+    onTrack: gap <= 0,
+    solutions,
+    ...(explain ? { explain } : {})
+  };
+}
+
+function parseNavField(raw) {
+  try {
+    return parseNavSeries(raw);
+  } catch (error) {
+    throw wrapFieldError(`nav${error.field}`, error.code, undefined, error);
+  }
+}
+
+// Each remanent buys units at the first NAV on or after its date; remanents newer than the series stay uninvested.
+function backtestWindow(purchases, left, rightExclusive, last) {
+  let invested = 0;
+  let units = 0;
+  let uninvested = 0;
+  const flows = [];
+
+  for (let i = left; i < rightExclusive; i += 1) {
+    const purchase = purchases[i];
+    if (purchase.units === null) {
+      uninvested += purchase.amount;
+    } else if (purchase.amount > 0) {
+      invested += purchase.amount;
+      units += purchase.units;
+      flows.push({ day: purchase.day, amount: -purchase.amount });
+    }
+  }
+
+  const currentValue = units * last.nav;
+  const gain = currentValue - invested;
+  if (flows.length > 0) {
+    flows.push({ day: last.day, amount: currentValue });
+  }
+
+  return {
+    units: Math.round(units * 10000) / 10000,
+    invested: round2(invested),
+    currentValue: round2(currentValue),
+    gain: round2(gain),
+    absoluteReturn: invested > 0 ? roundRate(gain / invested) : null,
+    xirr: roundRate(xirr(flows.map((flow) => ({ years: (flow.day - flows[0].day) / 365, amount: flow.amount })))),
+    uninvested: round2(uninvested)
+  };
+}
+
+export function calculateBacktest(payload) {
+  const series = parseNavField(payload?.nav);
+  const timeZone = parseTimeZone(payload?.timezone);
+  const { validTransactions, qConflict, kPeriods, savingsByDates, explain } = processFiltering(payload);
+  const last = series.at(-1);
+
+  const sorted = [...validTransactions].sort((a, b) => a.epochSeconds - b.epochSeconds);
+  const times = sorted.map((tx) => tx.epochSeconds);
+  const purchases = sorted.map((tx) => {
+    const { year, month, day } = civilDateOfEpoch(tx.epochSeconds, timeZone);
+    const point = navOnOrAfter(series, civilDayNumber(year, month, day));
+    const amount = moneyToNumber(tx.remanentFinalPaise);
+    return point ? { amount, units: amount / point.nav, day: point.day } : { amount, units: null };
   });
 
   return {
     ...totalsFromTransactions(validTransactions),
-    savingsByDates: enrichedSavings
+    qConflict,
+    nav: { from: series[0].date, to: last.date, points: series.length, lastNav: last.nav },
+    savingsByDates: savingsByDates.map((entry, index) => ({
+      ...describeWindow(entry),
+      amount: entry.amount,
+      ...backtestWindow(
+        purchases,
+        lowerBound(times, kPeriods[index].start),
+        upperBound(times, kPeriods[index].end),
+        last
+      )
+    })),
+    ...(explain ? { explain } : {})
   };
 }
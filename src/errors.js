@@ -0,0 +1,109 @@
+export const ERROR_CODES = [
+  'INVALID_REQUEST',
+  'INVALID_JSON',
+  'PAYLOAD_TOO_LARGE',
+  'ROUTE_NOT_FOUND',
+  'METHOD_NOT_ALLOWED',
+  'NOT_FOUND',
+  'ALREADY_EXISTS',
+  'CONFLICT',
+  'INTERNAL_ERROR',
+  'VALIDATION_FAILED',
+  'REQUIRED',
+  'INVALID_TYPE',
+  'INVALID_ENUM',
+  'INVALID_NUMBER',
+  'INVALID_TIMESTAMP',
+  'INVALID_RRULE',
+  'INVALID_DURATION',
+  'INVALID_RANGE',
+  'OUT_OF_RANGE',
+  'TOO_MANY_ITEMS',
+  'CONSTRAINT_VIOLATION',
+  'UNKNOWN_TIMEZONE',
+  'UNKNOWN_INSTRUMENT',
+  'INVALID_INSTRUMENT',
+  'INVALID_STATEMENT',
+  'INVALID_TRANSACTION',
+  'DUPLICATE_TIMESTAMP',
+  'REMANENT_MISMATCH',
+  'OUT_OF_ORDER'
+];
+
+const DEFAULT_CODES = {
+  400: 'INVALID_REQUEST',
+  404: 'NOT_FOUND',
+  405: 'METHOD_NOT_ALLOWED',
+  409: 'CONFLICT',
+  413: 'PAYLOAD_TOO_LARGE',
+  500: 'INTERNAL_ERROR'
+};
+
+export class ApiError extends Error {
+  constructor(status, message, { code, path, value, details = null, errors = null } = {}) {
+    super(message);
+    this.status = status;
+    this.code = code ?? DEFAULT_CODES[status] ?? 'INTERNAL_ERROR';
+    this.path = path;
+    this.value = value;
+    this.details = details;
+    this.errors = errors;
+  }
+
+  toJSON() {
+    return {
+      code: this.code,
+      message: this.message,
+      ...(this.path !== undefined ? { path: this.path } : {}),
+      ...(this.value !== undefined ? { value: this.value } : {})
+    };
+  }
+}
+
+// Field paths are written as `transactions[3].timestamp` and reported as RFC 6901 pointers.
+export function toJsonPointer(fieldPath) {
+  if (!fieldPath) return '';
+
+  return fieldPath
+    .split(/\.|\[(\d+)\]/)
+    .filter((segment) => segment !== undefined && segment !== '')
+    .map((segment) => `/${segment.replaceAll('~', '~0').replaceAll('/', '~1')}`)
+    .join('');
+}
+
+export function fieldError(fieldPath, code, problem, value) {
+  return new ApiError(400, `${fieldPath} ${problem}`, { code, path: toJsonPointer(fieldPath), value });
+}
+
+export function wrapFieldError(fieldPath, code, value, error) {
+  return new ApiError(400, error.message, { code, path: toJsonPointer(fieldPath), value });
+}
+
+export function createErrorCollector() {
+  const errors = [];
+
+  return {
+    errors,
+
+    attempt(task) {
+      try {
+        return task();
+      } catch (error) {
+        if (!(error instanceof ApiError)) throw error;
+        errors.push(...(error.errors ?? [error.toJSON()]));
+        return undefined;
+      }
+    },
+
+    report(error) {
+      errors.push(error.toJSON());
+    },
+
+    throwIfAny(subject) {
+      if (errors.length === 0) return;
+
+      const summary = errors.length === 1 ? errors[0].message : `${subject} failed validation with ${errors.length} errors`;
+      throw new ApiError(400, summary, { code: 'VALIDATION_FAILED', path: '', errors });
+    }
+  };
+}
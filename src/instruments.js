@@ -0,0 +1,69 @@
+export const TAX_TREATMENTS = ['nps', 'equity', 'flat-ltcg', 'slab', 'exempt'];
+export const DEDUCTIONS = ['80CCD', '80C'];
+
+const instruments = new Map();
+
+export function defineInstrument(definition) {
+  const { id, name = id, rate, lockInYears = 0, taxTreatment, deduction = null } = definition ?? {};
+
+  if (typeof id !== 'string' || !/^[a-z0-9-]+$/.test(id)) {
+    throw new Error('instrument id must be lowercase letters, digits or dashes');
+  }
+  if (typeof rate !== 'number' || !Number.isFinite(rate) || rate < 0) {
+    throw new Error(`instrument ${id} rate must be a non-negative number`);
+  }
+  if (lockInYears !== null && (!Number.isInteger(lockInYears) || lockInYears < 0)) {
+    throw new Error(`instrument ${id} lockInYears must be a non-negative integer or null`);
+  }
+  if (!TAX_TREATMENTS.includes(taxTreatment)) {
+    throw new Error(`instrument ${id} taxTreatment must be one of ${TAX_TREATMENTS.join(', ')}`);
+  }
+  if (deduction !== null && !DEDUCTIONS.includes(deduction)) {
+    throw new Error(`instrument ${id} deduction must be one of ${DEDUCTIONS.join(', ')} or null`);
+  }
+
+  return Object.freeze({ id, name, rate, lockInYears, taxTreatment, deduction });
+}
+
+export function registerInstrument(definition) {
+  const instrument = defineInstrument(definition);
+  instruments.set(instrument.id, instrument);
+  return instrument;
+}
+
+export function getInstrument(id) {
+  return instruments.get(id) ?? null;
+}
+
+export function listInstruments() {
+  return [...instruments.values()];
+}
+
+// A null lock-in means the money stays locked until retirement.
+registerInstrument({
+  id: 'nps',
+  name: 'National Pension System',
+  rate: 0.0711,
+  lockInYears: null,
+  taxTreatment: 'nps',
+  deduction: '80CCD'
+});
+registerInstrument({ id: 'index', name: 'Index fund', rate: 0.1449, taxTreatment: 'equity' });
+registerInstrument({
+  id: 'ppf',
+  name: 'Public Provident Fund',
+  rate: 0.071,
+  lockInYears: 15,
+  taxTreatment: 'exempt',
+  deduction: '80C'
+});
+registerInstrument({
+  id: 'epf',
+  name: "Employees' Provident Fund",
+  rate: 0.0825,
+  lockInYears: null,
+  taxTreatment: 'exempt',
+  deduction: '80C'
+});
+registerInstrument({ id: 'fd', name: 'Fixed deposit', rate: 0.07, taxTreatment: 'slab' });
+registerInstrument({ id: 'gold', name: 'Gold', rate: 0.09, taxTreatment: 'flat-ltcg' });
@@ -0,0 +1,367 @@
+import { mkdir, readdir, readFile, rename, rm, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { randomUUID } from 'node:crypto';
+import { ApiError, fieldError } from './errors.js';
+import {
+  calculateReturns,
+  prepareLedgerTransactions,
+  validateLedgerPeriods,
+  validateLedgerProfile
+} from './engine.js';
+
+export const DEFAULT_DATA_DIR = 'data';
+const USER_ID_RE = /^[A-Za-z0-9_-]{1,64}$/;
+const PROFILE_FIELDS = [
+  'name',
+  'age',
+  'retirementAge',
+  'lifeExpectancy',
+  'wage',
+  'inflation',
+  'returnCurves',
+  'timezone',
+  'rounding',
+  'taxRegime',
+  'fiscalYear',
+  'claimed80C',
+  'qConflict'
+];
+const TRANSACTION_FIELDS = ['timestamp', 'amount', 'ceiling', 'merchant'];
+const PERIOD_KINDS = ['q', 'p', 'k'];
+
+function assertObject(value, fieldName) {
+  if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+    throw new ApiError(400, `${fieldName} must be an object`, { code: 'INVALID_TYPE', path: '' });
+  }
+  return value;
+}
+
+function mergeFields(target, changes, fields) {
+  const merged = { ...target };
+  for (const field of fields) {
+    if (changes[field] === null) {
+      delete merged[field];
+    } else if (changes[field] !== undefined) {
+      merged[field] = changes[field];
+    }
+  }
+  return merged;
+}
+
+function sameSettings(a, b) {
+  const canonical = (value) => JSON.stringify(value ?? null, Object.keys(value ?? {}).sort());
+  return canonical(a) === canonical(b);
+}
+
+function requestSettings(user) {
+  return { timezone: user.profile.timezone, rounding: user.profile.rounding };
+}
+
+function describeUser(user) {
+  return {
+    id: user.id,
+    ...user.profile,
+    counts: {
+      transactions: user.transactions.length,
+      ...Object.fromEntries(PERIOD_KINDS.map((kind) => [kind, user.periods[kind].length]))
+    },
+    createdAt: user.createdAt,
+    updatedAt: user.updatedAt
+  };
+}
+
+function findEntry(entries, entryId, label) {
+  const index = entries.findIndex((entry) => entry.id === entryId);
+  if (index === -1) {
+    throw new ApiError(404, `${label} ${entryId} not found`, { value: entryId });
+  }
+  return index;
+}
+
+function periodKindOf(periodId) {
+  const kind = periodId.split('-')[0];
+  if (!PERIOD_KINDS.includes(kind)) {
+    throw new ApiError(404, `period ${periodId} not found`, { value: periodId });
+  }
+  return kind;
+}
+
+function storeTransactions(user, rawTransactions, stored) {
+  const { records, invalid } = prepareLedgerTransactions(
+    { ...requestSettings(user), transactions: rawTransactions },
+    stored
+  );
+
+  if (invalid.length > 0) {
+    const duplicatesOnly = invalid.every((entry) => entry.code === 'DUPLICATE_TIMESTAMP');
+    throw new ApiError(duplicatesOnly ? 409 : 400, 'transactions failed validation', {
+      code: duplicatesOnly ? 'DUPLICATE_TIMESTAMP' : 'VALIDATION_FAILED',
+      path: '/transactions',
+      details: { invalid }
+    });
+  }
+
+  return records;
+}
+
+function checkPeriods(user, kind, periods) {
+  validateLedgerPeriods({ ...requestSettings(user), [kind]: periods });
+}
+
+export function createLedger(directory = DEFAULT_DATA_DIR) {
+  const usersDir = path.resolve(directory, 'users');
+  const queues = new Map();
+
+  function fileFor(id) {
+    return path.join(usersDir, `${id}.json`);
+  }
+
+  async function load(id) {
+    if (!USER_ID_RE.test(id)) {
+      throw new ApiError(404, `user ${id} not found`, { value: id });
+    }
+    try {
+      return JSON.parse(await readFile(fileFor(id), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new ApiError(404, `user ${id} not found`, { value: id });
+      }
+      throw error;
+    }
+  }
+
+  async function save(user) {
+    // Renaming over the old file keeps readers from ever seeing a half-written user.
+    await mkdir(usersDir, { recursive: true });
+    const file = fileFor(user.id);
+    const temp = `${file}.${process.pid}.tmp`;
+    await writeFile(temp, JSON.stringify(user));
+    await rename(temp, file);
+  }
+
+  function exclusive(id, task) {
+    const previous = queues.get(id) ?? Promise.resolve();
+    const next = previous.then(task, task);
+    const release = () => {
+      if (queues.get(id) === next) queues.delete(id);
+    };
+    queues.set(id, next);
+    next.then(release, release);
+    return next;
+  }
+
+  function mutate(id, change) {
+    return exclusive(id, async () => {
+      const user = await load(id);
+      const result = change(user);
+      user.updatedAt = new Date().toISOString();
+      await save(user);
+      return result;
+    });
+  }
+
+  function nextEntryId(user, prefix) {
+    user.sequence += 1;
+    return `${prefix}-${user.sequence}`;
+  }
+
+  async function createUser(payload) {
+    assertObject(payload, 'user');
+    const id = payload.id ?? randomUUID();
+    if (typeof id !== 'string' || !USER_ID_RE.test(id)) {
+      throw fieldError('id', 'CONSTRAINT_VIOLATION', 'must be 1-64 letters, digits, dashes or underscores', id);
+    }
+
+    const profile = mergeFields({}, payload, PROFILE_FIELDS);
+    validateLedgerProfile(profile);
+
+    return exclusive(id, async () => {
+      try {
+        await load(id);
+        throw new ApiError(409, `user ${id} already exists`, { code: 'ALREADY_EXISTS', path: '/id', value: id });
+      } catch (error) {
+        if (!(error instanceof ApiError) || error.status !== 404) throw error;
+      }
+
+      const now = new Date().toISOString();
+      const user = {
+        id,
+        profile,
+        transactions: [],
+        periods: { q: [], p: [], k: [] },
+        sequence: 0,
+        createdAt: now,
+        updatedAt: now
+      };
+      await save(user);
+      return describeUser(user);
+    });
+  }
+
+  async function listUsers() {
+    let files;
+    try {
+      files = await readdir(usersDir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return { users: [] };
+      throw error;
+    }
+
+    const ids = files.filter((file) => file.endsWith('.json')).map((file) => file.slice(0, -5)).sort();
+    const results = await Promise.allSettled(ids.map(load));
+
+    // One corrupt file should not hide every other user; it is listed by id instead.
+    const users = [];
+    const unreadable = [];
+    results.forEach((result, index) => {
+      if (result.status === 'fulfilled') {
+        users.push(describeUser(result.value));
+      } else {
+        unreadable.push({ id: ids[index], error: result.reason.message });
+      }
+    });
+    return unreadable.length > 0 ? { users, unreadable } : { users };
+  }
+
+  async function getUser(id) {
+    return describeUser(await load(id));
+  }
+
+  function updateUser(id, changes) {
+    assertObject(changes, 'user');
+    return mutate(id, (user) => {
+      const profile = mergeFields(user.profile, changes, PROFILE_FIELDS);
+      const hasEntries = user.transactions.length > 0 || PERIOD_KINDS.some((kind) => user.periods[kind].length > 0);
+
+      // Stored timestamps are wall-clock times in the user's zone, so the zone is fixed once data exists.
+      if (hasEntries && profile.timezone !== user.profile.timezone) {
+        throw new ApiError(409, 'timezone cannot change once transactions or periods are stored', {
+          code: 'CONFLICT',
+          path: '/timezone',
+          value: changes.timezone
+        });
+      }
+      // Stored ceilings were checked against the rounding multiple, so it is fixed once transactions exist.
+      if (user.transactions.length > 0 && !sameSettings(profile.rounding, user.profile.rounding)) {
+        throw new ApiError(409, 'rounding cannot change once transactions are stored', {
+          code: 'CONFLICT',
+          path: '/rounding',
+          value: changes.rounding
+        });
+      }
+
+      validateLedgerProfile(profile);
+      user.profile = profile;
+      return describeUser(user);
+    });
+  }
+
+  function deleteUser(id) {
+    return exclusive(id, async () => {
+      await load(id);
+      await rm(fileFor(id));
+    });
+  }
+
+  const transactions = {
+    async list(id) {
+      return { transactions: (await load(id)).transactions };
+    },
+
+    add(id, payload) {
+      const rawTransactions = assertObject(payload, 'body').transactions;
+      return mutate(id, (user) => {
+        const added = storeTransactions(user, rawTransactions, user.transactions)
+          .map((record) => ({ id: nextEntryId(user, 'tx'), ...record }));
+        user.transactions.push(...added);
+        return { transactions: added };
+      });
+    },
+
+    async get(id, entryId) {
+      const user = await load(id);
+      return user.transactions[findEntry(user.transactions, entryId, 'transaction')];
+    },
+
+    update(id, entryId, changes) {
+      assertObject(changes, 'transaction');
+      return mutate(id, (user) => {
+        const index = findEntry(user.transactions, entryId, 'transaction');
+        const merged = mergeFields(user.transactions[index], changes, TRANSACTION_FIELDS);
+        const others = user.transactions.filter((_, i) => i !== index);
+
+        const [record] = storeTransactions(user, [merged], others);
+        user.transactions[index] = { id: entryId, ...record };
+        return user.transactions[index];
+      });
+    },
+
+    remove(id, entryId) {
+      return mutate(id, (user) => {
+        user.transactions.splice(findEntry(user.transactions, entryId, 'transaction'), 1);
+      });
+    }
+  };
+
+  const periods = {
+    async list(id) {
+      return (await load(id)).periods;
+    },
+
+    add(id, payload) {
+      assertObject(payload, 'body');
+      return mutate(id, (user) => {
+        const added = {};
+        for (const kind of PERIOD_KINDS) {
+          const incoming = payload[kind] ?? [];
+          checkPeriods(user, kind, incoming);
+          added[kind] = incoming.map((period) => ({ ...period, id: nextEntryId(user, kind) }));
+        }
+        for (const kind of PERIOD_KINDS) {
+          user.periods[kind].push(...added[kind]);
+        }
+        return added;
+      });
+    },
+
+    async get(id, entryId) {
+      const entries = (await load(id)).periods[periodKindOf(entryId)];
+      return entries[findEntry(entries, entryId, 'period')];
+    },
+
+    update(id, entryId, changes) {
+      assertObject(changes, 'period');
+      return mutate(id, (user) => {
+        const kind = periodKindOf(entryId);
+        const entries = user.periods[kind];
+        const index = findEntry(entries, entryId, 'period');
+        const changed = { ...entries[index], ...changes, id: entryId };
+
+        checkPeriods(user, kind, [changed]);
+        entries[index] = changed;
+        return entries[index];
+      });
+    },
+
+    remove(id, entryId) {
+      return mutate(id, (user) => {
+        const entries = user.periods[periodKindOf(entryId)];
+        entries.splice(findEntry(entries, entryId, 'period'), 1);
+      });
+    }
+  };
+
+  async function returns(id, instrumentId, overrides = {}) {
+    const user = await load(id);
+    const { name, ...profile } = user.profile;
+
+    return calculateReturns({
+      ...profile,
+      ...overrides,
+      transactions: user.transactions,
+      ...user.periods
+    }, instrumentId);
+  }
+
+  return { createUser, listUsers, getUser, updateUser, deleteUser, transactions, periods, returns };
+}
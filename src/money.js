@@ -64,14 +64,17 @@ export function moneyToFixed2(paise) {
   return Number(text);
 }
 
+export function round2(value) {
+  return Math.round((value + Number.EPSILON) * 100) / 100;
+}
+
 export function validateMoneyRange(paise, minInclusive, maxExclusive, fieldName) {
   if (paise < minInclusive || paise >= maxExclusive) {
     throw new Error(`${fieldName} out of allowed range`);
   }
 }
 
-export function ceilTo100(paise) {
-  const multiple = 10000n;
+export function ceilToMultiple(paise, multiple) {
   const remainder = paise % multiple;
   if (remainder === 0n) {
     return paise;
@@ -79,6 +82,14 @@ export function ceilTo100(paise) {
   return paise + (multiple - remainder);
 }
 
+export function scaleMoney(paise, factor) {
+  // Factor is applied in hundredths with half-up rounding back to paise.
+  const hundredths = BigInt(Math.round(factor * 100));
+  const scaled = paise * hundredths;
+  const rounded = (scaled < 0n ? -scaled : scaled) + 50n;
+  return (scaled < 0n ? -1n : 1n) * (rounded / 100n);
+}
+
 export function bigintMin(...values) {
   return values.reduce((acc, value) => (value < acc ? value : acc));
 }
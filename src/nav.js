@@ -0,0 +1,99 @@
+import { splitCsvRecords } from './statements.js';
+import { parseCivilDate, civilDayNumber } from './time.js';
+
+const MAX_NAV_POINTS = 100_000;
+
+function navError(field, problem, code, message = `nav${field} ${problem}`) {
+  const error = new Error(message);
+  error.field = field;
+  error.code = code;
+  return error;
+}
+
+// Array points are reported by path; CSV rows can only be reported by line.
+function pointError(point, key, problem, code) {
+  return point.line === undefined
+    ? navError(`${point.field}.${key}`, problem, code)
+    : navError('', problem, code, `nav line ${point.line}: ${key} ${problem}`);
+}
+
+function readCsvPoints(text) {
+  const [header, ...rows] = splitCsvRecords(text, ',');
+  const columns = (header?.fields ?? []).map((column) => column.trim().toLowerCase());
+  const dateIndex = columns.indexOf('date');
+  const navIndex = columns.indexOf('nav');
+
+  if (dateIndex === -1 || navIndex === -1) {
+    throw navError('', 'CSV needs a header with date and nav columns', 'INVALID_STATEMENT');
+  }
+
+  return rows.map((row) => ({
+    line: row.line,
+    date: row.fields[dateIndex]?.trim(),
+    nav: row.fields[navIndex]?.trim()
+  }));
+}
+
+function readPoints(raw) {
+  if (typeof raw === 'string') {
+    return readCsvPoints(raw);
+  }
+  if (!Array.isArray(raw)) {
+    throw navError('', 'must be an array of { date, nav } or a CSV string', 'INVALID_TYPE');
+  }
+
+  return raw.map((point, index) => {
+    if (typeof point !== 'object' || point === null || Array.isArray(point)) {
+      throw navError(`[${index}]`, 'must be an object', 'INVALID_TYPE');
+    }
+    return { field: `[${index}]`, date: point.date, nav: point.nav };
+  });
+}
+
+// Returns points sorted by date, as { day, date, nav } with `day` the civil day number.
+export function parseNavSeries(raw) {
+  const points = readPoints(raw);
+  if (points.length === 0 || points.length > MAX_NAV_POINTS) {
+    throw navError('', `must have between 1 and ${MAX_NAV_POINTS} points`, 'TOO_MANY_ITEMS');
+  }
+
+  let previousDay = -Infinity;
+  return points.map((point) => {
+    const { date, nav } = point;
+    let civil;
+    try {
+      civil = parseCivilDate(date);
+    } catch {
+      throw pointError(point, 'date', 'must be a valid YYYY-MM-DD date', 'INVALID_TIMESTAMP');
+    }
+
+    const value = typeof nav === 'string' && nav.trim() !== '' ? Number(nav) : nav;
+    if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0) {
+      throw pointError(point, 'nav', 'must be a positive number', 'INVALID_NUMBER');
+    }
+
+    const day = civilDayNumber(civil.year, civil.month, civil.day);
+    if (day <= previousDay) {
+      throw pointError(point, 'date', 'must be later than the previous point', 'CONSTRAINT_VIOLATION');
+    }
+    previousDay = day;
+
+    return { day, date: date.trim(), nav: value };
+  });
+}
+
+export function navOnOrAfter(series, day) {
+  let left = 0;
+  let right = series.length;
+
+  while (left < right) {
+    const mid = Math.floor((left + right) / 2);
+    if (series[mid].day < day) {
+      left = mid + 1;
+    } else {
+      right = mid;
+    }
+  }
+
+  return series[left] ?? null;
+}
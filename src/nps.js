@@ -0,0 +1,72 @@
+export const ASSET_CLASSES = ['equity', 'corporate', 'government'];
+export const ALLOCATION_MODES = ['active', 'auto'];
+export const DEFAULT_ASSET_RATES = { equity: 0.12, corporate: 0.09, government: 0.08 };
+export const MIN_ANNUITY_SHARE = 0.40;
+export const DEFAULT_ANNUITY_RATE = 0.06;
+
+// Auto choice holds the starting mix until 35, then moves linearly to the closing mix at 55.
+const LIFECYCLE_FUNDS = {
+  aggressive: {
+    from: { equity: 0.75, corporate: 0.10, government: 0.15 },
+    to: { equity: 0.15, corporate: 0.10, government: 0.75 }
+  },
+  moderate: {
+    from: { equity: 0.50, corporate: 0.30, government: 0.20 },
+    to: { equity: 0.10, corporate: 0.10, government: 0.80 }
+  },
+  conservative: {
+    from: { equity: 0.25, corporate: 0.45, government: 0.30 },
+    to: { equity: 0.05, corporate: 0.05, government: 0.90 }
+  }
+};
+const GLIDE_START_AGE = 35;
+const GLIDE_END_AGE = 55;
+
+export const LIFECYCLE_NAMES = Object.keys(LIFECYCLE_FUNDS);
+
+function lifecycleMix(lifecycle, age) {
+  const { from, to } = LIFECYCLE_FUNDS[lifecycle];
+  const progress = Math.min(Math.max((age - GLIDE_START_AGE) / (GLIDE_END_AGE - GLIDE_START_AGE), 0), 1);
+
+  return Object.fromEntries(
+    ASSET_CLASSES.map((asset) => [asset, from[asset] + (to[asset] - from[asset]) * progress])
+  );
+}
+
+function activeEquityCap(age) {
+  // Active choice allows 75% equity until 50, tapering by 2.5 points a year to 50% at 60.
+  if (age <= 50) return 0.75;
+  return Math.max(0.75 - 0.025 * (age - 50), 0.50);
+}
+
+function activeMix(weights, age) {
+  const equity = Math.min(weights.equity, activeEquityCap(age));
+  return {
+    equity,
+    corporate: weights.corporate,
+    government: weights.government + (weights.equity - equity)
+  };
+}
+
+export function buildGlidePath({ mode, lifecycle, weights, rates, age, years }) {
+  const rows = [];
+
+  for (let year = 1; year <= years; year += 1) {
+    const ageInYear = age + year - 1;
+    const mix = mode === 'auto' ? lifecycleMix(lifecycle, ageInYear) : activeMix(weights, ageInYear);
+    const rate = ASSET_CLASSES.reduce((sum, asset) => sum + mix[asset] * rates[asset], 0);
+
+    rows.push({ year, age: ageInYear, ...mix, rate });
+  }
+
+  return rows;
+}
+
+export function annuitySplit(corpus, share, annuityRate) {
+  const annuityPurchase = corpus * share;
+  return {
+    lumpSum: corpus - annuityPurchase,
+    annuityPurchase,
+    monthlyPension: (annuityPurchase * annuityRate) / 12
+  };
+}
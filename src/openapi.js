@@ -0,0 +1,511 @@
+import { ERROR_CODES } from './errors.js';
+import { Q_CONFLICT_STRATEGIES, GOAL_LEVERS } from './engine.js';
+import { WINDOW_GENERATORS } from './windows.js';
+import { TAX_REGIMES, FISCAL_YEARS } from './tax.js';
+import { TAX_TREATMENTS, DEDUCTIONS, listInstruments } from './instruments.js';
+import { ALLOCATION_MODES, LIFECYCLE_NAMES } from './nps.js';
+import { ANOMALY_RULES, ANOMALY_CODES, SEVERITIES } from './anomalies.js';
+import { DUPLICATE_STRATEGIES, DUPLICATE_MATCH_FIELDS } from './duplicates.js';
+import { COMPOUNDING_MODES, COMPOUNDING_FREQUENCIES } from './dated.js';
+
+const API_PREFIX = '/blackrock/challenge/v1';
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const json = (schema) => ({ 'application/json': { schema } });
+
+const money = { oneOf: [{ type: 'number' }, { type: 'string', pattern: '^-?\\d+(\\.\\d{1,2})?$' }] };
+const rate = { type: 'number', minimum: 0, description: 'Fraction, or percent when above 1' };
+const rateCurve = {
+  type: 'array',
+  minItems: 1,
+  maxItems: 120,
+  description: 'Segments by projection year; the first starts at year 1 and the last runs on',
+  items: {
+    type: 'object',
+    required: ['fromYear', 'rate'],
+    properties: { fromYear: { type: 'integer', minimum: 1 }, rate }
+  }
+};
+const timestamp = {
+  type: 'string',
+  description: '`YYYY-MM-DD HH:mm:ss` in the request timezone, or ISO 8601 with an offset'
+};
+
+function buildSchemas() {
+  const periodWindow = {
+    start: timestamp,
+    end: timestamp,
+    rrule: { type: 'string', description: 'RFC 5545 recurrence rule; replaces `end`' },
+    duration: { type: 'string', description: 'ISO 8601 duration of each occurrence, e.g. `P1D`' }
+  };
+
+  return {
+    Money: money,
+    Timestamp: timestamp,
+    Rounding: {
+      type: 'object',
+      properties: {
+        multiple: { type: 'integer', enum: [10, 50, 100, 500] },
+        multiplier: { type: 'number', exclusiveMinimum: 0 },
+        minRemanent: money,
+        maxRemanent: money,
+        skipExactMultiples: { type: 'boolean' }
+      }
+    },
+    Expense: {
+      type: 'object',
+      required: ['timestamp', 'amount'],
+      properties: { timestamp, amount: money, merchant: { type: 'string' } }
+    },
+    Transaction: {
+      type: 'object',
+      required: ['timestamp', 'amount'],
+      properties: {
+        timestamp,
+        amount: money,
+        ceiling: money,
+        remanent: money,
+        merchant: { type: 'string' }
+      }
+    },
+    InvalidTransaction: {
+      type: 'object',
+      required: ['transaction', 'code', 'message'],
+      properties: {
+        transaction: {},
+        code: { type: 'string', enum: ['INVALID_TRANSACTION', 'DUPLICATE_TIMESTAMP', 'REMANENT_MISMATCH', 'OUT_OF_ORDER', ...ANOMALY_CODES] },
+        severity: { type: 'string', enum: ['error', 'warning'], description: 'Set by the validator\'s anomaly rules' },
+        message: { type: 'string' },
+        path: { type: 'string' },
+        value: {}
+      }
+    },
+    QPeriod: {
+      type: 'object',
+      required: ['fixed', 'start'],
+      properties: {
+        id: { type: 'string' },
+        fixed: money,
+        priority: { type: 'number', description: 'Higher wins under `qConflict: "priority"` (default 0)' },
+        ...periodWindow
+      }
+    },
+    PPeriod: {
+      type: 'object',
+      required: ['extra', 'start'],
+      properties: { id: { type: 'string' }, extra: money, ...periodWindow }
+    },
+    KPeriod: {
+      type: 'object',
+      required: ['start', 'end'],
+      properties: {
+        id: { type: 'string' },
+        start: timestamp,
+        end: timestamp,
+        label: { type: 'string' },
+        generate: { type: 'string', enum: WINDOW_GENERATORS },
+        fiscal: { type: 'boolean' },
+        windowDays: { type: 'integer', minimum: 1 },
+        stepDays: { type: 'integer', minimum: 1 }
+      }
+    },
+    RequestSettings: {
+      type: 'object',
+      properties: {
+        timezone: { type: 'string', description: 'IANA zone, default `Asia/Kolkata`' },
+        rounding: ref('Rounding'),
+        duplicatePolicy: ref('DuplicatePolicy')
+      }
+    },
+    DuplicatePolicy: {
+      type: 'object',
+      properties: {
+        toleranceSeconds: { type: 'integer', minimum: 0, maximum: 86400 },
+        match: { type: 'array', items: { type: 'string', enum: DUPLICATE_MATCH_FIELDS } },
+        strategy: { type: 'string', enum: DUPLICATE_STRATEGIES }
+      }
+    },
+    DuplicateGroup: {
+      type: 'object',
+      required: ['strategy', 'rows'],
+      properties: {
+        strategy: { type: 'string', enum: DUPLICATE_STRATEGIES },
+        rows: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: { index: { type: 'integer' }, kept: { type: 'boolean' }, transaction: { type: 'object' } }
+          }
+        },
+        merged: { type: 'object', description: 'The combined row under the `sum` strategy' }
+      }
+    },
+    Periods: {
+      type: 'object',
+      properties: {
+        q: { type: 'array', items: ref('QPeriod') },
+        p: { type: 'array', items: ref('PPeriod') },
+        k: { type: 'array', items: ref('KPeriod') }
+      }
+    },
+    Profile: {
+      type: 'object',
+      properties: {
+        age: { type: 'integer', minimum: 0, maximum: 120 },
+        retirementAge: { type: 'integer', minimum: 0, maximum: 120, default: 60 },
+        lifeExpectancy: { type: 'integer', minimum: 0, maximum: 120, default: 85 },
+        wage: { ...money, description: 'Monthly salary in INR' },
+        inflation: { oneOf: [rate, rateCurve] },
+        returnCurves: { type: 'object', description: 'Return curve per instrument id', additionalProperties: rateCurve },
+        taxRegime: { type: 'string', enum: TAX_REGIMES },
+        fiscalYear: { type: 'string', enum: FISCAL_YEARS },
+        claimed80C: money
+      }
+    },
+    Instrument: {
+      type: 'object',
+      required: ['rate', 'taxTreatment'],
+      properties: {
+        name: { type: 'string' },
+        rate,
+        lockInYears: { type: ['integer', 'null'], minimum: 0 },
+        taxTreatment: { type: 'string', enum: TAX_TREATMENTS },
+        deduction: { type: ['string', 'null'], enum: [...DEDUCTIONS, null] }
+      }
+    },
+    ParseRequest: {
+      allOf: [ref('RequestSettings')],
+      properties: {
+        expenses: { type: 'array', items: ref('Expense') },
+        messages: { type: 'array', items: { type: 'string' } }
+      }
+    },
+    ValidatorRequest: {
+      allOf: [ref('RequestSettings')],
+      required: ['wage', 'transactions'],
+      properties: {
+        wage: money,
+        asOf: { ...timestamp, description: 'Reference time for `futureTimestamp` (default: the server clock)' },
+        transactions: { type: 'array', items: ref('Transaction') },
+        rules: {
+          type: 'object',
+          properties: Object.fromEntries(Object.entries(ANOMALY_RULES).map(([name, rule]) => [name, {
+            oneOf: [
+              { type: 'string', enum: SEVERITIES },
+              {
+                type: 'object',
+                properties: {
+                  severity: { type: 'string', enum: SEVERITIES },
+                  ...Object.fromEntries(Object.keys(rule.params).map((param) => [param, { type: 'number', exclusiveMinimum: 0 }]))
+                }
+              }
+            ]
+          }]))
+        }
+      }
+    },
+    FilterRequest: {
+      allOf: [ref('RequestSettings'), ref('Periods')],
+      required: ['transactions'],
+      properties: {
+        transactions: { type: 'array', items: ref('Transaction') },
+        qConflict: { type: 'string', enum: Q_CONFLICT_STRATEGIES },
+        explain: { type: 'boolean', description: 'Adds a per-transaction rule trace and k window counts' }
+      }
+    },
+    ReturnsRequest: {
+      allOf: [ref('FilterRequest'), ref('Profile')],
+      required: ['wage', 'inflation'],
+      description: '`age` is required unless `compounding` is `dated`',
+      properties: {
+        instrument: { ...ref('Instrument'), description: 'Required by `returns:custom`' },
+        compounding: { type: 'string', enum: COMPOUNDING_MODES, default: 'horizon' },
+        compoundingFrequency: { type: 'string', enum: Object.keys(COMPOUNDING_FREQUENCIES), default: 'annual' },
+        asOf: { ...timestamp, description: 'Start of the projection (default: the latest transaction); required by dated compounding' },
+        dateOfBirth: { type: 'string', format: 'date', description: 'Required by dated compounding' },
+        simulation: {
+          type: 'object',
+          required: ['volatility'],
+          properties: {
+            volatility: rate,
+            paths: { type: 'integer', minimum: 1 },
+            seed: { type: 'integer', minimum: 0 },
+            target: money
+          }
+        },
+        schedule: {
+          type: 'object',
+          properties: {
+            continueRoundUps: {
+              type: 'boolean',
+              description: 'Repeat the window amount each year, grown with the wage (default false); suits year-long windows'
+            },
+            savingsRate: rate,
+            wageGrowth: rate,
+            monthlySip: money,
+            lumpSums: {
+              type: 'array',
+              items: { type: 'object', required: ['date', 'amount'], properties: { date: timestamp, amount: money } }
+            }
+          }
+        },
+        allocation: {
+          type: 'object',
+          required: ['mode'],
+          properties: {
+            mode: { type: 'string', enum: ALLOCATION_MODES },
+            lifecycle: { type: 'string', enum: LIFECYCLE_NAMES },
+            equity: rate,
+            corporate: rate,
+            government: rate,
+            rates: { type: 'object', additionalProperties: rate }
+          }
+        },
+        annuity: { type: 'object', properties: { share: rate, rate } },
+        drawdown: {
+          type: 'object',
+          properties: {
+            monthlyWithdrawal: { ...money, description: 'In today\'s rupees; defaults to the maximum safe withdrawal' },
+            rate
+          }
+        }
+      }
+    },
+    CompareRequest: {
+      allOf: [ref('ReturnsRequest')],
+      properties: {
+        instruments: {
+          type: 'array',
+          minItems: 1,
+          items: { oneOf: [{ type: 'string' }, ref('Instrument')] }
+        }
+      }
+    },
+    BacktestRequest: {
+      allOf: [ref('FilterRequest')],
+      required: ['nav'],
+      properties: {
+        nav: {
+          oneOf: [
+            {
+              type: 'array',
+              minItems: 1,
+              items: {
+                type: 'object',
+                required: ['date', 'nav'],
+                properties: { date: { type: 'string', format: 'date' }, nav: { type: 'number', exclusiveMinimum: 0 } }
+              }
+            },
+            { type: 'string', description: 'CSV with a header naming `date` and `nav` columns' }
+          ]
+        }
+      }
+    },
+    GoalRequest: {
+      allOf: [ref('ReturnsRequest')],
+      required: ['target'],
+      properties: {
+        target: { ...money, description: 'Corpus wanted at the end of the horizon, in today\'s rupees' },
+        instrument: { oneOf: [{ type: 'string' }, ref('Instrument')], description: 'Defaults to `nps`' },
+        solveFor: { type: 'string', enum: GOAL_LEVERS, description: 'Solves for every lever when omitted' }
+      }
+    },
+    SensitivityRequest: {
+      allOf: [ref('ReturnsRequest')],
+      properties: {
+        grid: {
+          type: 'object',
+          properties: {
+            rates: { type: 'array', minItems: 1, items: rate },
+            inflations: { type: 'array', minItems: 1, items: rate },
+            ages: { type: 'array', minItems: 1, items: { type: 'integer', minimum: 0, maximum: 120 } }
+          }
+        }
+      }
+    },
+    User: {
+      allOf: [ref('RequestSettings'), ref('Profile')],
+      properties: {
+        id: { type: 'string', pattern: '^[A-Za-z0-9_-]{1,64}$' },
+        name: { type: 'string' },
+        qConflict: { type: 'string', enum: Q_CONFLICT_STRATEGIES }
+      }
+    },
+    ErrorDetail: {
+      type: 'object',
+      required: ['code', 'message'],
+      properties: {
+        code: { type: 'string', enum: ERROR_CODES },
+        message: { type: 'string' },
+        path: { type: 'string', description: 'RFC 6901 JSON pointer into the request body' },
+        value: { description: 'The offending value, when there is one' }
+      }
+    },
+    Error: {
+      type: 'object',
+      required: ['error', 'code'],
+      properties: {
+        error: { type: 'string' },
+        code: { type: 'string', enum: ERROR_CODES },
+        path: { type: 'string', description: 'RFC 6901 JSON pointer into the request body' },
+        value: {},
+        details: { type: 'object' },
+        errors: { type: 'array', items: ref('ErrorDetail') }
+      }
+    }
+  };
+}
+
+const explainParameter = {
+  name: 'explain',
+  in: 'query',
+  description: 'Same as `"explain": true` in the body',
+  schema: { type: 'boolean' }
+};
+const errorResponse = (description) => ({ description, content: json(ref('Error')) });
+const ok = (description) => ({ description, content: json({ type: 'object' }) });
+
+function post(summary, schema, extra = {}) {
+  return {
+    post: {
+      summary,
+      requestBody: { required: true, content: { ...json(ref(schema)), ...extra } },
+      responses: {
+        200: ok(summary),
+        400: errorResponse('Invalid request'),
+        413: errorResponse('Payload too large')
+      }
+    }
+  };
+}
+
+function pathParameter(name, description) {
+  return { name, in: 'path', required: true, description, schema: { type: 'string' } };
+}
+
+function ledgerCollection(name, schema) {
+  const body = { required: true, content: json(schema) };
+  return {
+    [`${API_PREFIX}/users/{id}/${name}`]: {
+      parameters: [pathParameter('id', 'User id')],
+      get: { summary: `List stored ${name}`, responses: { 200: ok(`Stored ${name}`), 404: errorResponse('Unknown user') } },
+      post: {
+        summary: `Add ${name}`,
+        requestBody: body,
+        responses: {
+          201: ok(`Stored ${name} with ids`),
+          400: errorResponse('Invalid entries'),
+          404: errorResponse('Unknown user'),
+          409: errorResponse('Conflicts with stored data')
+        }
+      }
+    },
+    [`${API_PREFIX}/users/{id}/${name}/{entryId}`]: {
+      parameters: [pathParameter('id', 'User id'), pathParameter('entryId', 'Stored entry id')],
+      get: { summary: 'Get one entry', responses: { 200: ok('Stored entry'), 404: errorResponse('Unknown entry') } },
+      patch: {
+        summary: 'Update one entry',
+        requestBody: { required: true, content: json({ type: 'object' }) },
+        responses: {
+          200: ok('Updated entry'),
+          400: errorResponse('Invalid entry'),
+          404: errorResponse('Unknown entry'),
+          409: errorResponse('Conflicts with stored data')
+        }
+      },
+      delete: { summary: 'Delete one entry', responses: { 204: { description: 'Deleted' }, 404: errorResponse('Unknown entry') } }
+    }
+  };
+}
+
+export function buildOpenApiDocument() {
+  const instrumentIds = [...listInstruments().map((instrument) => instrument.id), 'custom'];
+
+  return {
+    openapi: '3.1.0',
+    info: { title: 'Superannuation API', version: '1.0.0' },
+    paths: {
+      [`${API_PREFIX}/transactions:parse`]: post('Turn expenses, SMS alerts or bank statements into transactions', 'ParseRequest', {
+        'text/csv': { schema: { type: 'string' } },
+        'application/x-ofx': { schema: { type: 'string' } }
+      }),
+      [`${API_PREFIX}/transactions:validator`]: post('Validate transactions against the wage', 'ValidatorRequest'),
+      [`${API_PREFIX}/transactions:filter`]: {
+        parameters: [explainParameter],
+        ...post('Apply q, p and k periods', 'FilterRequest', {
+          'application/x-ndjson': { schema: { type: 'string', description: 'Header record, then one transaction per line in time order' } }
+        })
+      },
+      [`${API_PREFIX}/returns:{instrument}`]: {
+        parameters: [
+          { name: 'instrument', in: 'path', required: true, schema: { type: 'string', enum: instrumentIds } },
+          explainParameter
+        ],
+        ...post('Project savings into an instrument', 'ReturnsRequest')
+      },
+      [`${API_PREFIX}/returns:compare`]: {
+        parameters: [explainParameter],
+        ...post('Rank instruments for each k window', 'CompareRequest')
+      },
+      [`${API_PREFIX}/returns:backtest`]: {
+        parameters: [explainParameter],
+        ...post('Replay remanents against a historical NAV series', 'BacktestRequest')
+      },
+      [`${API_PREFIX}/returns:goal`]: {
+        parameters: [explainParameter],
+        ...post('Solve for the saving that reaches a target real corpus', 'GoalRequest')
+      },
+      [`${API_PREFIX}/returns:sensitivity`]: {
+        parameters: [explainParameter],
+        ...post('Project over a grid of rates, inflations and ages', 'SensitivityRequest')
+      },
+      [`${API_PREFIX}/users`]: {
+        get: { summary: 'List users', responses: { 200: ok('Users') } },
+        post: {
+          summary: 'Create a user',
+          requestBody: { required: true, content: json(ref('User')) },
+          responses: { 201: ok('Created user'), 400: errorResponse('Invalid profile'), 409: errorResponse('User already exists') }
+        }
+      },
+      [`${API_PREFIX}/users/{id}`]: {
+        parameters: [pathParameter('id', 'User id')],
+        get: { summary: 'Get a user', responses: { 200: ok('User'), 404: errorResponse('Unknown user') } },
+        patch: {
+          summary: 'Merge profile fields; null clears a field',
+          requestBody: { required: true, content: json(ref('User')) },
+          responses: {
+            200: ok('Updated user'),
+            400: errorResponse('Invalid profile'),
+            404: errorResponse('Unknown user'),
+            409: errorResponse('Timezone cannot change')
+          }
+        },
+        delete: { summary: 'Delete a user', responses: { 204: { description: 'Deleted' }, 404: errorResponse('Unknown user') } }
+      },
+      ...ledgerCollection('transactions', {
+        type: 'object',
+        required: ['transactions'],
+        properties: { transactions: { type: 'array', items: ref('Transaction') } }
+      }),
+      ...ledgerCollection('periods', ref('Periods')),
+      [`${API_PREFIX}/users/{id}/returns/{instrument}`]: {
+        parameters: [
+          pathParameter('id', 'User id'),
+          { name: 'instrument', in: 'path', required: true, schema: { type: 'string', enum: instrumentIds } },
+          ...['age', 'retirementAge', 'lifeExpectancy', 'wage', 'inflation', 'claimed80C'].map((name) => ({ name, in: 'query', schema: { type: 'number' } })),
+          { name: 'qConflict', in: 'query', schema: { type: 'string', enum: Q_CONFLICT_STRATEGIES } },
+          explainParameter,
+          { name: 'taxRegime', in: 'query', schema: { type: 'string', enum: TAX_REGIMES } },
+          { name: 'fiscalYear', in: 'query', schema: { type: 'string', enum: FISCAL_YEARS } }
+        ],
+        get: {
+          summary: 'Project stored transactions and periods',
+          responses: { 200: ok('Projection'), 400: errorResponse('Invalid profile'), 404: errorResponse('Unknown user or instrument') }
+        }
+      },
+      [`${API_PREFIX}/performance`]: { get: { summary: 'Process metrics', responses: { 200: ok('Metrics') } } },
+      '/health': { get: { summary: 'Liveness probe', responses: { 200: ok('Healthy') } } },
+      '/openapi.json': { get: { summary: 'This document', responses: { 200: ok('OpenAPI document') } } }
+    },
+    components: { schemas: buildSchemas() }
+  };
+}
@@ -0,0 +1,126 @@
+import { round2 } from './money.js';
+
+export function buildSchedule({
+  principal,
+  years,
+  age,
+  growthRate,
+  priceLevel,
+  annualWage,
+  settings,
+  taxBenefitFor = null
+}) {
+  const rows = [];
+  let balance = principal;
+
+  for (let year = 1; year <= years; year += 1) {
+    const wageFactor = (1 + settings.wageGrowth) ** (year - 1);
+    const wage = annualWage * wageFactor;
+
+    const roundUps = settings.continueRoundUps ? principal * wageFactor : 0;
+    const lumpSums = settings.lumpSumsByYear.get(year) ?? 0;
+    const contribution = roundUps + wage * settings.savingsRate + settings.monthlySip * 12 + lumpSums;
+
+    // Contributions land at the end of each year, so they start compounding the year after.
+    const rate = Array.isArray(growthRate) ? growthRate[year - 1] : growthRate;
+    const growth = balance * rate;
+    balance += growth + contribution;
+
+    const row = {
+      year,
+      age: age + year,
+      wage: round2(wage),
+      contribution: round2(contribution),
+      growth: round2(growth),
+      closingBalance: round2(balance),
+      realBalance: round2(balance / priceLevel(year))
+    };
+
+    if (taxBenefitFor) {
+      row.taxBenefit = round2(taxBenefitFor(contribution, wage));
+    }
+
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+// Future value of 1 paid at the end of every month for `years`, when the lump sum grows by `growthFactor` overall.
+export function monthlyContributionFactor(growthFactor, years) {
+  const months = years * 12;
+  const monthlyRate = growthFactor ** (1 / months) - 1;
+  return monthlyRate === 0 ? months : (growthFactor - 1) / monthlyRate;
+}
+
+function floor2(value) {
+  return Math.floor(round2(value * 100)) / 100;
+}
+
+// Withdrawals are priced in today's money, rise with inflation and come out at the start of each year;
+// what is left grows at `growthRate` (one rate, or one per drawdown year). `priceLevel(n)` is the price
+// level n years from today. A pension covers part of each withdrawal and any surplus is reinvested.
+export function buildDrawdown({
+  corpus,
+  years,
+  startAge,
+  startYear,
+  yearsToRetirement,
+  growthRate,
+  priceLevel,
+  monthlyPension = 0,
+  monthlyWithdrawal = null
+}) {
+  const annualPension = monthlyPension * 12;
+  const priceAt = (year) => priceLevel(yearsToRetirement + year - 1);
+  const rateOf = (year) => (Array.isArray(growthRate) ? growthRate[year - 1] : growthRate);
+
+  // The largest withdrawal whose present value, net of the pension, the corpus can fund.
+  let funded = corpus;
+  let needed = 0;
+  let presentValue = 1;
+  for (let year = 1; year <= years; year += 1) {
+    funded += annualPension * presentValue;
+    needed += 12 * priceAt(year) * presentValue;
+    presentValue /= 1 + rateOf(year);
+  }
+  const maxSafeMonthlyWithdrawal = floor2(funded / needed);
+  const withdrawal = monthlyWithdrawal ?? maxSafeMonthlyWithdrawal;
+
+  const rows = [];
+  let balance = corpus;
+  let exhaustedAt = null;
+
+  for (let year = 1; year <= years; year += 1) {
+    const wanted = withdrawal * 12 * priceAt(year);
+    const fromCorpus = Math.min(wanted - annualPension, balance);
+    const shortfall = round2(wanted - annualPension - fromCorpus);
+    balance -= fromCorpus;
+    const growth = balance * rateOf(year);
+    balance += growth;
+
+    if (exhaustedAt === null && shortfall > 0) {
+      exhaustedAt = year;
+    }
+
+    rows.push({
+      year,
+      age: startAge + year - 1,
+      withdrawal: round2(wanted),
+      pension: round2(annualPension),
+      fromCorpus: round2(fromCorpus),
+      shortfall,
+      growth: round2(growth),
+      closingBalance: round2(balance),
+      realClosingBalance: round2(balance / priceAt(year + 1))
+    });
+  }
+
+  return {
+    monthlyWithdrawal: round2(withdrawal),
+    maxSafeMonthlyWithdrawal,
+    exhaustedAge: exhaustedAt === null ? null : startAge + exhaustedAt - 1,
+    exhaustedYear: exhaustedAt === null ? null : startYear + exhaustedAt - 1,
+    rows
+  };
+}
@@ -0,0 +1,273 @@
+import {
+  epochToWallClockSeconds,
+  wallClockToEpochSeconds,
+  civilDayNumber,
+  civilDate,
+  weekdayOfDay,
+  daysInMonth
+} from './time.js';
+
+export const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const SECONDS_PER_DAY = 86_400;
+const DURATION_RE = /^P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/;
+const UNTIL_RE = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/;
+const BYDAY_RE = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/;
+
+function parseIntegerList(value, fieldName, part, min, max) {
+  return value.split(',').map((item) => {
+    const number = Number(item);
+    if (!Number.isInteger(number) || number === 0 || number < min || number > max) {
+      throw new Error(`${fieldName} ${part} values must be non-zero integers between ${min} and ${max}`);
+    }
+    return number;
+  });
+}
+
+function parseUntil(value, fieldName, timeZone) {
+  const match = UNTIL_RE.exec(value);
+  if (!match) {
+    throw new Error(`${fieldName} UNTIL must be YYYYMMDD or YYYYMMDDTHHMMSS[Z]`);
+  }
+
+  const [, year, month, day, hour = '23', minute = '59', second = '59', utc] = match;
+  const wallSeconds = Date.UTC(
+    Number(year), Number(month) - 1, Number(day),
+    Number(hour), Number(minute), Number(second)
+  ) / 1000;
+  return utc ? wallSeconds : wallClockToEpochSeconds(wallSeconds, timeZone);
+}
+
+export function parseDuration(text, fieldName = 'duration') {
+  const match = typeof text === 'string' ? DURATION_RE.exec(text) : null;
+  if (!match || text === 'P' || text.endsWith('T')) {
+    throw new Error(`${fieldName} must be an ISO 8601 duration such as P1D or PT12H`);
+  }
+
+  const [weeks, days, hours, minutes, seconds] = match.slice(1).map((value) => Number(value ?? 0));
+  const total = ((weeks * 7 + days) * 24 + hours) * 3600 + minutes * 60 + seconds;
+  if (total === 0) {
+    throw new Error(`${fieldName} must be longer than zero`);
+  }
+  return total;
+}
+
+export function parseRecurrenceRule(text, fieldName = 'rrule', timeZone) {
+  if (typeof text !== 'string' || !text.trim()) {
+    throw new Error(`${fieldName} must be a string such as FREQ=WEEKLY;BYDAY=SA,SU`);
+  }
+
+  const rule = {
+    freq: null,
+    interval: 1,
+    count: null,
+    until: null,
+    byMonth: null,
+    byMonthDay: null,
+    byDay: null
+  };
+
+  for (const part of text.trim().replace(/^RRULE:/i, '').split(';')) {
+    const [key, value, ...rest] = part.split('=');
+    if (!value || rest.length > 0) {
+      throw new Error(`${fieldName} part "${part}" must be KEY=VALUE`);
+    }
+
+    switch (key.toUpperCase()) {
+      case 'FREQ':
+        rule.freq = value.toUpperCase();
+        if (!FREQUENCIES.includes(rule.freq)) {
+          throw new Error(`${fieldName} FREQ must be one of ${FREQUENCIES.join(', ')}`);
+        }
+        break;
+      case 'INTERVAL':
+        rule.interval = Number(value);
+        if (!Number.isInteger(rule.interval) || rule.interval < 1) {
+          throw new Error(`${fieldName} INTERVAL must be a positive integer`);
+        }
+        break;
+      case 'COUNT':
+        rule.count = Number(value);
+        if (!Number.isInteger(rule.count) || rule.count < 1) {
+          throw new Error(`${fieldName} COUNT must be a positive integer`);
+        }
+        break;
+      case 'UNTIL':
+        rule.until = parseUntil(value, fieldName, timeZone);
+        break;
+      case 'BYMONTH':
+        rule.byMonth = parseIntegerList(value, fieldName, 'BYMONTH', 1, 12);
+        break;
+      case 'BYMONTHDAY':
+        rule.byMonthDay = parseIntegerList(value, fieldName, 'BYMONTHDAY', -31, 31);
+        break;
+      case 'BYDAY':
+        rule.byDay = value.toUpperCase().split(',').map((item) => {
+          const match = BYDAY_RE.exec(item);
+          const ordinal = match?.[1] ? Number(match[1]) : null;
+          if (!match || ordinal === 0 || Math.abs(ordinal) > 5) {
+            throw new Error(`${fieldName} BYDAY values must be weekdays like MO or 1MO, -1FR`);
+          }
+          return { weekday: WEEKDAYS.indexOf(match[2]), ordinal };
+        });
+        break;
+      default:
+        throw new Error(`${fieldName} part ${key} is not supported`);
+    }
+  }
+
+  if (rule.freq === null) {
+    throw new Error(`${fieldName} must set FREQ`);
+  }
+  if (rule.count !== null && rule.until !== null) {
+    throw new Error(`${fieldName} cannot set both COUNT and UNTIL`);
+  }
+  if (rule.byDay?.some((entry) => entry.ordinal !== null) && !['MONTHLY', 'YEARLY'].includes(rule.freq)) {
+    throw new Error(`${fieldName} BYDAY ordinals need FREQ=MONTHLY or FREQ=YEARLY`);
+  }
+
+  return rule;
+}
+
+function withinLimits(rule, day) {
+  const { year, month, day: dayOfMonth } = civilDate(day);
+
+  if (rule.byMonth && !rule.byMonth.includes(month)) return false;
+  if (rule.byMonthDay) {
+    const count = daysInMonth(year, month);
+    if (!rule.byMonthDay.some((value) => (value > 0 ? value : count + 1 + value) === dayOfMonth)) return false;
+  }
+  if (rule.byDay && !rule.byDay.some((entry) => entry.weekday === weekdayOfDay(day))) return false;
+  return true;
+}
+
+function monthDays(rule, year, month, startDayOfMonth) {
+  const count = daysInMonth(year, month);
+  const first = civilDayNumber(year, month, 1);
+  let days;
+
+  if (rule.byMonthDay) {
+    days = rule.byMonthDay
+      .map((value) => (value > 0 ? value : count + 1 + value))
+      .filter((value) => value >= 1 && value <= count)
+      .map((value) => first + value - 1);
+    if (rule.byDay) {
+      days = days.filter((day) => rule.byDay.some((entry) => entry.weekday === weekdayOfDay(day)));
+    }
+  } else if (rule.byDay) {
+    days = [];
+    for (const { weekday, ordinal } of rule.byDay) {
+      const matching = [];
+      for (let day = first + ((weekday - weekdayOfDay(first) + 7) % 7); day < first + count; day += 7) {
+        matching.push(day);
+      }
+      if (ordinal === null) {
+        days.push(...matching);
+      } else {
+        const picked = ordinal > 0 ? matching[ordinal - 1] : matching[matching.length + ordinal];
+        if (picked !== undefined) days.push(picked);
+      }
+    }
+  } else {
+    days = startDayOfMonth <= count ? [first + startDayOfMonth - 1] : [];
+  }
+
+  return [...new Set(days)].sort((a, b) => a - b);
+}
+
+function periodDays(rule, start, step) {
+  const offset = step * rule.interval;
+
+  switch (rule.freq) {
+    case 'DAILY': {
+      const day = start.day + offset;
+      return { firstDay: day, days: withinLimits(rule, day) ? [day] : [] };
+    }
+    case 'WEEKLY': {
+      // Weeks start on Monday, the RFC 5545 default WKST.
+      const weekStart = start.day - ((weekdayOfDay(start.day) + 6) % 7) + 7 * offset;
+      const weekdays = rule.byDay ? rule.byDay.map((entry) => entry.weekday) : [weekdayOfDay(start.day)];
+      const days = weekdays.map((weekday) => weekStart + ((weekday + 6) % 7)).sort((a, b) => a - b);
+      return { firstDay: weekStart, days: days.filter((day) => withinLimits(rule, day)) };
+    }
+    case 'MONTHLY': {
+      const index = start.year * 12 + start.month - 1 + offset;
+      const year = Math.floor(index / 12);
+      const month = (index % 12) + 1;
+      const days = rule.byMonth && !rule.byMonth.includes(month)
+        ? []
+        : monthDays(rule, year, month, start.dayOfMonth);
+      return { firstDay: civilDayNumber(year, month, 1), days };
+    }
+    default: {
+      const year = start.year + offset;
+      const months = rule.byMonth ? [...rule.byMonth].sort((a, b) => a - b) : [start.month];
+      return {
+        firstDay: civilDayNumber(year, 1, 1),
+        days: months.flatMap((month) => monthDays(rule, year, month, start.dayOfMonth))
+      };
+    }
+  }
+}
+
+// Steps before the returned one only hold days before `day`.
+function stepsBefore(rule, start, day) {
+  if (day <= start.day) return 0;
+
+  switch (rule.freq) {
+    case 'DAILY':
+      return Math.floor((day - start.day) / rule.interval);
+    case 'WEEKLY':
+      return Math.floor(Math.floor((day - start.day) / 7) / rule.interval);
+    case 'MONTHLY': {
+      const { year, month } = civilDate(day);
+      return Math.floor(((year - start.year) * 12 + month - start.month) / rule.interval);
+    }
+    default:
+      return Math.floor((civilDate(day).year - start.year) / rule.interval);
+  }
+}
+
+// Occurrences are generated in wall-clock time so a daily 09:00 rule stays at 09:00 across DST changes.
+// Without COUNT, steps that end before `from` are skipped rather than walked; a day of slack covers DST shifts.
+// Without a horizon the expansion is open-ended: every step that follows one with no occurrence first yields a
+// marker `{ start, end: null }` no later than the step's first occurrence, so a consumer can stop pulling once
+// the markers pass the time it cares about instead of scanning on for a rule that may never match again.
+export function* expandRecurrence(rule, { start, durationSeconds, timeZone, horizon, from = start }) {
+  const startWall = epochToWallClockSeconds(start, timeZone);
+  const startDay = Math.floor(startWall / SECONDS_PER_DAY);
+  const timeOfDay = startWall - startDay * SECONDS_PER_DAY;
+  const { year, month, day: dayOfMonth } = civilDate(startDay);
+  const openEnded = horizon === undefined;
+  const horizonDay = openEnded ? Infinity : Math.floor(epochToWallClockSeconds(horizon, timeZone) / SECONDS_PER_DAY) + 1;
+  const fromDay = Math.floor(epochToWallClockSeconds(from - durationSeconds, timeZone) / SECONDS_PER_DAY) - 1;
+  const firstStep = rule.count === null ? stepsBefore(rule, { day: startDay, year, month }, fromDay) : 0;
+  let emitted = 0;
+  let matched = true;
+
+  for (let step = firstStep; ; step += 1) {
+    const { firstDay, days } = periodDays(rule, { day: startDay, year, month, dayOfMonth }, step);
+    if (firstDay > horizonDay) return;
+    if (openEnded && !matched) {
+      yield { start: wallClockToEpochSeconds((firstDay - 1) * SECONDS_PER_DAY, timeZone), end: null };
+    }
+    matched = false;
+
+    for (const day of days) {
+      if (day < startDay) continue;
+
+      const wallSeconds = day * SECONDS_PER_DAY + timeOfDay;
+      const occurrenceStart = wallClockToEpochSeconds(wallSeconds, timeZone);
+      if ((!openEnded && occurrenceStart > horizon) || (rule.until !== null && occurrenceStart > rule.until)) return;
+
+      yield {
+        start: occurrenceStart,
+        end: wallClockToEpochSeconds(wallSeconds + durationSeconds, timeZone) - 1
+      };
+      matched = true;
+
+      emitted += 1;
+      if (rule.count !== null && emitted >= rule.count) return;
+    }
+  }
+}
@@ -3,7 +3,7 @@ import { createServer } from './app.js';
 const port = Number(process.env.PORT || 5477);
 const host = process.env.HOST || '0.0.0.0';
 
-const server = createServer();
+const server = createServer({ dataDir: process.env.DATA_DIR });
 
 server.listen(port, host, () => {
   // eslint-disable-next-line no-console
@@ -0,0 +1,73 @@
+export const PERCENTILES = [10, 50, 90];
+
+export function createRng(seed) {
+  // mulberry32: small, fast and fully determined by the 32-bit seed.
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function createNormal(rng) {
+  let spare = null;
+
+  return () => {
+    if (spare !== null) {
+      const value = spare;
+      spare = null;
+      return value;
+    }
+
+    let u = 0;
+    while (u === 0) u = rng();
+    const v = rng();
+    const radius = Math.sqrt(-2 * Math.log(u));
+    spare = radius * Math.sin(2 * Math.PI * v);
+    return radius * Math.cos(2 * Math.PI * v);
+  };
+}
+
+export function simulateGrowthFactors({ rate, volatility, years, paths, seed }) {
+  const normal = createNormal(createRng(seed));
+  const drift = Math.log(1 + rate) - (volatility ** 2) / 2;
+  const factors = new Float64Array(paths);
+
+  for (let path = 0; path < paths; path += 1) {
+    let logGrowth = 0;
+    for (let year = 0; year < years; year += 1) {
+      logGrowth += drift + volatility * normal();
+    }
+    factors[path] = Math.exp(logGrowth);
+  }
+
+  return factors.sort();
+}
+
+export function percentile(sorted, p) {
+  if (sorted.length === 0) return 0;
+
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+export function shareAtLeast(sorted, threshold) {
+  let left = 0;
+  let right = sorted.length;
+
+  while (left < right) {
+    const mid = Math.floor((left + right) / 2);
+    if (sorted[mid] < threshold) {
+      left = mid + 1;
+    } else {
+      right = mid;
+    }
+  }
+
+  return sorted.length === 0 ? 0 : (sorted.length - left) / sorted.length;
+}
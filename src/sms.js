@@ -0,0 +1,134 @@
+const MONTHS = {
+  jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6,
+  jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12
+};
+
+const AMOUNT = String.raw`(?:INR|Rs\.?|₹)\s*(?<amount>\d[\d,]*(?:\.\d+)?)`;
+const DATE = String.raw`(?<date>\d{4}-\d{2}-\d{2}|\d{1,2}[-/ ]?(?:\d{1,2}|[A-Za-z]{3})[-/ ]?\d{2,4})`;
+const TIME = String.raw`(?:[\s:,]+(?:at\s+)?(?<time>\d{1,2}:\d{2}(?::\d{2})?))?`;
+const MERCHANT = String.raw`(?<merchant>[A-Za-z0-9@&*._' -]+?)`;
+const MERCHANT_END = String.raw`(?=\s*(?:[.;]\s|\.?$|\s+on\s|\s+Avl|\s+UPI|\s+Ref|\s*\(|\s+Not you|\s+If not))`;
+
+const CREDIT_RE = /\b(credited|received|deposited|refund(?:ed)?)\b/i;
+const DEBIT_RE = /\b(debited|debit|spent|sent|withdrawn|paid|purchase)\b/i;
+
+const smsTemplates = [
+  {
+    id: 'hdfc-card',
+    bank: 'HDFC',
+    pattern: new RegExp(String.raw`Spent\s+${AMOUNT}\s+On\s+HDFC\s+Bank\s+Card\s+\w+\s+At\s+${MERCHANT}\s+On\s+(?<date>\d{4}-\d{2}-\d{2})(?::(?<time>\d{2}:\d{2}:\d{2}))?`, 'i')
+  },
+  {
+    id: 'hdfc-upi',
+    bank: 'HDFC',
+    pattern: new RegExp(String.raw`${AMOUNT}\s+debited\s+from\s+a\/c\s+\**\w+\s+on\s+${DATE}${TIME}\s+to\s+(?:VPA\s+)?${MERCHANT}${MERCHANT_END}`, 'i')
+  },
+  {
+    id: 'sbi-upi',
+    bank: 'SBI',
+    pattern: new RegExp(String.raw`A\/C\s+\w+\s+debited\s+by\s+(?<amount>\d[\d,]*(?:\.\d+)?)\s+on\s+date\s+${DATE}${TIME}\s+trf\s+to\s+${MERCHANT}${MERCHANT_END}`, 'i')
+  },
+  {
+    id: 'sbi-transfer',
+    bank: 'SBI',
+    pattern: new RegExp(String.raw`debit\s+by\s+(?:transfer|purchase)\s+of\s+${AMOUNT}\s+on\s+${DATE}${TIME}(?:.*?(?:Transferred\s+to|at)\s+${MERCHANT}${MERCHANT_END})?`, 'i')
+  },
+  {
+    id: 'icici-card',
+    bank: 'ICICI',
+    pattern: new RegExp(String.raw`${AMOUNT}\s+spent\s+(?:on|using)\s+ICICI\s+Bank\s+Card\s+\w+\s+on\s+${DATE}${TIME}\s+(?:at|on)\s+${MERCHANT}${MERCHANT_END}`, 'i')
+  },
+  {
+    id: 'icici-account',
+    bank: 'ICICI',
+    pattern: new RegExp(String.raw`ICICI\s+Bank\s+Acc(?:oun)?t\s+\w+\s+debited\s+(?:for|with)\s+${AMOUNT}\s+on\s+${DATE}${TIME}(?:[;,]\s*${MERCHANT}\s+credited)?`, 'i')
+  },
+  {
+    id: 'kotak-upi',
+    bank: 'Kotak',
+    pattern: new RegExp(String.raw`Sent\s+${AMOUNT}\s+from\s+Kotak\s+Bank\s+AC\s+\w+\s+to\s+${MERCHANT}\s+on\s+${DATE}${TIME}`, 'i')
+  },
+  {
+    id: 'axis-account',
+    bank: 'Axis',
+    pattern: new RegExp(String.raw`${AMOUNT}\s+debited\s+from\s+A\/c\s+no\.?\s+\w+\s+on\s+${DATE}${TIME}(?:\s+IST)?(?:\s+(?:at|to)\s+${MERCHANT}${MERCHANT_END})?`, 'i')
+  },
+  {
+    id: 'generic-debit',
+    bank: null,
+    pattern: new RegExp(String.raw`${AMOUNT}\s+(?:has\s+been\s+)?(?:debited|spent|withdrawn|paid)\b.*?\bon\s+${DATE}${TIME}(?:.*?\b(?:at|to|towards|for)\s+${MERCHANT}${MERCHANT_END})?`, 'i')
+  }
+];
+
+export function registerSmsTemplate(template) {
+  if (typeof template?.id !== 'string' || !(template?.pattern instanceof RegExp)) {
+    throw new Error('SMS template needs an id and a RegExp pattern');
+  }
+
+  // Bank-specific templates are tried before the generic fallback.
+  smsTemplates.splice(smsTemplates.length - 1, 0, template);
+}
+
+export function listSmsTemplates() {
+  return smsTemplates.map(({ id, bank }) => ({ id, bank }));
+}
+
+function expandYear(text) {
+  const year = Number(text);
+  return text.length === 2 ? 2000 + year : year;
+}
+
+function normalizeSmsDate(dateText, timeText) {
+  let year;
+  let month;
+  let day;
+
+  const iso = /^(\d{4})-(\d{2})-(\d{2})$/.exec(dateText);
+  if (iso) {
+    [year, month, day] = [Number(iso[1]), Number(iso[2]), Number(iso[3])];
+  } else {
+    const parts = /^(\d{1,2})[-/ ]?(\d{1,2}|[A-Za-z]{3})[-/ ]?(\d{2,4})$/.exec(dateText);
+    if (!parts) {
+      throw new Error(`unrecognised date "${dateText}"`);
+    }
+    day = Number(parts[1]);
+    month = /^\d+$/.test(parts[2]) ? Number(parts[2]) : MONTHS[parts[2].toLowerCase()];
+    year = expandYear(parts[3]);
+    if (!month) {
+      throw new Error(`unrecognised month "${parts[2]}"`);
+    }
+  }
+
+  const [hour = 0, minute = 0, second = 0] = (timeText ?? '').split(':').filter(Boolean).map(Number);
+  const pad = (value) => String(value).padStart(2, '0');
+
+  return `${year}-${pad(month)}-${pad(day)} ${pad(hour)}:${pad(minute)}:${pad(second)}`;
+}
+
+export function parseSmsMessage(message) {
+  if (typeof message !== 'string' || !message.trim()) {
+    throw new Error('message must be a non-empty string');
+  }
+
+  const text = message.replace(/\s+/g, ' ').trim();
+
+  for (const template of smsTemplates) {
+    const match = template.pattern.exec(text);
+    if (!match) continue;
+
+    const { amount, date, time, merchant } = match.groups;
+    return {
+      template: template.id,
+      bank: template.bank,
+      timestamp: normalizeSmsDate(date, time),
+      amount: amount.replace(/,/g, ''),
+      merchant: merchant?.trim() || null
+    };
+  }
+
+  if (CREDIT_RE.test(text) && !DEBIT_RE.test(text)) {
+    return { credit: true };
+  }
+
+  throw new Error('message did not match any known debit alert template');
+}
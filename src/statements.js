@@ -0,0 +1,269 @@
+const DEFAULT_CSV_OPTIONS = {
+  delimiter: ',',
+  dateColumn: 'date',
+  dateFormat: 'YYYY-MM-DD HH:mm:ss',
+  amountColumn: 'amount',
+  typeColumn: null,
+  debitColumn: null,
+  creditColumn: null,
+  creditValues: ['CR', 'CREDIT', 'C'],
+  signedAmounts: false
+};
+
+const DATE_FORMATS = {
+  'YYYY-MM-DD HH:mm:ss': /^(?<year>\d{4})-(?<month>\d{2})-(?<day>\d{2}) (?<hour>\d{2}):(?<minute>\d{2}):(?<second>\d{2})$/,
+  'YYYY-MM-DD': /^(?<year>\d{4})-(?<month>\d{2})-(?<day>\d{2})$/,
+  'DD/MM/YYYY': /^(?<day>\d{2})\/(?<month>\d{2})\/(?<year>\d{4})$/,
+  'DD-MM-YYYY': /^(?<day>\d{2})-(?<month>\d{2})-(?<year>\d{4})$/,
+  'MM/DD/YYYY': /^(?<month>\d{2})\/(?<day>\d{2})\/(?<year>\d{4})$/,
+  'DD/MM/YYYY HH:mm:ss': /^(?<day>\d{2})\/(?<month>\d{2})\/(?<year>\d{4}) (?<hour>\d{2}):(?<minute>\d{2}):(?<second>\d{2})$/
+};
+
+const OFX_DATE_RE = /^(\d{4})(\d{2})(\d{2})(?:(\d{2})(\d{2})(\d{2})?)?(?:\.\d+)?(?:\[([+-]?\d+(?:\.\d+)?)(?::[^\]]*)?\])?$/;
+
+function lineError(line, message) {
+  const error = new Error(`line ${line}: ${message}`);
+  error.line = line;
+  return error;
+}
+
+export function splitCsvRecords(text, delimiter) {
+  const records = [];
+  let fields = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let recordLine = 1;
+
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') line += 1;
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      fields.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i += 1;
+      fields.push(field);
+      records.push({ line: recordLine, fields });
+      fields = [];
+      field = '';
+      line += 1;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw lineError(recordLine, 'unterminated quoted field');
+  }
+
+  if (field !== '' || fields.length > 0) {
+    fields.push(field);
+    records.push({ line: recordLine, fields });
+  }
+
+  return records.filter((record) => record.fields.some((value) => value.trim() !== ''));
+}
+
+function normalizeDate(raw, format, line) {
+  const pattern = DATE_FORMATS[format];
+  const match = pattern.exec(raw.trim());
+  if (!match) {
+    throw lineError(line, `date must follow ${format}`);
+  }
+
+  const { year, month, day, hour = '00', minute = '00', second = '00' } = match.groups;
+  return `${year}-${month}-${day} ${hour}:${minute}:${second}`;
+}
+
+function normalizeAmount(raw) {
+  return raw.replace(/,/g, '').trim();
+}
+
+function resolveCsvOptions(options) {
+  const resolved = { ...DEFAULT_CSV_OPTIONS };
+  for (const [key, value] of Object.entries(options ?? {})) {
+    if (value !== undefined && value !== null && value !== '') {
+      resolved[key] = value;
+    }
+  }
+
+  if (typeof resolved.creditValues === 'string') {
+    resolved.creditValues = resolved.creditValues.split(',');
+  }
+  resolved.creditValues = resolved.creditValues.map((value) => value.trim().toUpperCase());
+  resolved.signedAmounts = resolved.signedAmounts === true || resolved.signedAmounts === 'true';
+
+  if (typeof resolved.delimiter !== 'string' || resolved.delimiter.length !== 1) {
+    throw new Error('delimiter must be a single character');
+  }
+  if (!DATE_FORMATS[resolved.dateFormat]) {
+    throw new Error(`dateFormat must be one of ${Object.keys(DATE_FORMATS).join(', ')}`);
+  }
+
+  return resolved;
+}
+
+function findColumn(header, name, required) {
+  if (!name) return -1;
+
+  const wanted = String(name).trim().toLowerCase();
+  const index = header.findIndex((column) => column.trim().toLowerCase() === wanted);
+
+  if (index === -1 && required) {
+    throw lineError(1, `column "${name}" not found in header`);
+  }
+  return index;
+}
+
+export function parseCsvStatement(text, options = {}) {
+  const settings = resolveCsvOptions(options);
+  const records = splitCsvRecords(text.replace(/^\uFEFF/, ''), settings.delimiter);
+
+  if (records.length === 0) {
+    throw lineError(1, 'statement has no header row');
+  }
+
+  const [header, ...rows] = records;
+  const usesDebitCredit = Boolean(settings.debitColumn);
+
+  const columns = {
+    date: findColumn(header.fields, settings.dateColumn, true),
+    amount: usesDebitCredit ? -1 : findColumn(header.fields, settings.amountColumn, true),
+    type: findColumn(header.fields, settings.typeColumn, true),
+    debit: findColumn(header.fields, settings.debitColumn, true),
+    credit: findColumn(header.fields, settings.creditColumn, true)
+  };
+
+  const debits = [];
+  let skipped = 0;
+
+  for (const { line, fields } of rows) {
+    const cell = (index) => (index >= 0 ? (fields[index] ?? '').trim() : '');
+
+    let amount;
+    if (usesDebitCredit) {
+      amount = normalizeAmount(cell(columns.debit));
+      if (amount === '') {
+        if (columns.credit >= 0 && cell(columns.credit) === '') {
+          throw lineError(line, 'row has neither a debit nor a credit amount');
+        }
+        skipped += 1;
+        continue;
+      }
+    } else {
+      amount = normalizeAmount(cell(columns.amount));
+      if (columns.type >= 0 && settings.creditValues.includes(cell(columns.type).toUpperCase())) {
+        skipped += 1;
+        continue;
+      }
+      if (settings.signedAmounts) {
+        if (!amount.startsWith('-')) {
+          skipped += 1;
+          continue;
+        }
+        amount = amount.slice(1);
+      }
+    }
+
+    debits.push({
+      line,
+      timestamp: normalizeDate(cell(columns.date), settings.dateFormat, line),
+      amount
+    });
+  }
+
+  return { debits, skipped };
+}
+
+function createLineCounter(text) {
+  let offset = 0;
+  let line = 1;
+
+  return (target) => {
+    for (; offset < target; offset += 1) {
+      if (text[offset] === '\n') line += 1;
+    }
+    return line;
+  };
+}
+
+function readOfxFields(block) {
+  const fields = {};
+  const tagRe = /<([A-Z0-9.]+)>([^<\r\n]*)/gi;
+  let match;
+  while ((match = tagRe.exec(block)) !== null) {
+    fields[match[1].toUpperCase()] = match[2].trim();
+  }
+  return fields;
+}
+
+function normalizeOfxDate(raw, line) {
+  const match = OFX_DATE_RE.exec(raw ?? '');
+  if (!match) {
+    throw lineError(line, 'DTPOSTED must be an OFX datetime (YYYYMMDD[HHMMSS])');
+  }
+
+  const [, year, month, day, hour = '00', minute = '00', second = '00', offset] = match;
+  if (offset === undefined) {
+    return `${year}-${month}-${day} ${hour}:${minute}:${second}`;
+  }
+
+  // An explicit GMT offset (in hours) is kept as an ISO 8601 offset.
+  const offsetMinutes = Math.round(Math.abs(Number(offset)) * 60);
+  const sign = Number(offset) < 0 ? '-' : '+';
+  const hh = String(Math.floor(offsetMinutes / 60)).padStart(2, '0');
+  const mm = String(offsetMinutes % 60).padStart(2, '0');
+  return `${year}-${month}-${day}T${hour}:${minute}:${second}${sign}${hh}:${mm}`;
+}
+
+export function parseOfxStatement(text) {
+  const blockRe = /<STMTTRN>([\s\S]*?)(?:<\/STMTTRN>|(?=<STMTTRN>)|(?=<\/BANKTRANLIST>))/gi;
+  const lineAt = createLineCounter(text);
+  const debits = [];
+  let skipped = 0;
+  let match;
+
+  while ((match = blockRe.exec(text)) !== null) {
+    const line = lineAt(match.index);
+    const fields = readOfxFields(match[1]);
+
+    if (fields.TRNAMT === undefined) {
+      throw lineError(line, 'STMTTRN is missing TRNAMT');
+    }
+
+    const amount = normalizeAmount(fields.TRNAMT);
+    if (!amount.startsWith('-')) {
+      skipped += 1;
+      continue;
+    }
+
+    debits.push({
+      line,
+      timestamp: normalizeOfxDate(fields.DTPOSTED, line),
+      amount: amount.slice(1)
+    });
+  }
+
+  if (debits.length === 0 && skipped === 0 && !/<OFX>/i.test(text)) {
+    throw lineError(1, 'body is not an OFX document');
+  }
+
+  return { debits, skipped };
+}
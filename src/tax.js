@@ -0,0 +1,273 @@
+const CESS_RATE = 0.04;
+const SECTION_80C_LIMIT = 150_000;
+const SECTION_80CCD_1B_LIMIT = 50_000;
+const SECTION_80CCD_1_SALARY_SHARE = 0.10;
+
+const OLD_REGIME = {
+  standardDeduction: 50_000,
+  slabs: [
+    { upTo: 250_000, rate: 0 },
+    { upTo: 500_000, rate: 0.05 },
+    { upTo: 1_000_000, rate: 0.20 },
+    { upTo: Infinity, rate: 0.30 }
+  ],
+  rebate: { incomeLimit: 500_000, maxRebate: 12_500, marginalRelief: false },
+  surcharge: [
+    { above: 5_000_000, rate: 0.10 },
+    { above: 10_000_000, rate: 0.15 },
+    { above: 20_000_000, rate: 0.25 },
+    { above: 50_000_000, rate: 0.37 }
+  ],
+  chapterVIADeductible: true
+};
+
+// The flat schedule the service used before per-year tables: no standard deduction, rebate,
+// surcharge or cess, and an NPS deduction of min(contribution, 10% of income, 200000).
+const SIMPLIFIED_REGIME = {
+  standardDeduction: 0,
+  slabs: [
+    { upTo: 700_000, rate: 0 },
+    { upTo: 1_000_000, rate: 0.10 },
+    { upTo: 1_200_000, rate: 0.15 },
+    { upTo: 1_500_000, rate: 0.20 },
+    { upTo: Infinity, rate: 0.30 }
+  ],
+  rebate: { incomeLimit: 0, maxRebate: 0, marginalRelief: false },
+  surcharge: [],
+  cessRate: 0,
+  chapterVIADeductible: true,
+  npsDeduction: { salaryShare: 0.10, cap: 200_000 }
+};
+
+const NEW_REGIME_SURCHARGE = [
+  { above: 5_000_000, rate: 0.10 },
+  { above: 10_000_000, rate: 0.15 },
+  { above: 20_000_000, rate: 0.25 }
+];
+
+const TAX_TABLES = {
+  '2023-24': {
+    old: OLD_REGIME,
+    new: {
+      standardDeduction: 50_000,
+      slabs: [
+        { upTo: 300_000, rate: 0 },
+        { upTo: 600_000, rate: 0.05 },
+        { upTo: 900_000, rate: 0.10 },
+        { upTo: 1_200_000, rate: 0.15 },
+        { upTo: 1_500_000, rate: 0.20 },
+        { upTo: Infinity, rate: 0.30 }
+      ],
+      rebate: { incomeLimit: 700_000, maxRebate: 25_000, marginalRelief: true },
+      surcharge: NEW_REGIME_SURCHARGE,
+      chapterVIADeductible: false
+    }
+  },
+  '2024-25': {
+    old: OLD_REGIME,
+    new: {
+      standardDeduction: 75_000,
+      slabs: [
+        { upTo: 300_000, rate: 0 },
+        { upTo: 700_000, rate: 0.05 },
+        { upTo: 1_000_000, rate: 0.10 },
+        { upTo: 1_200_000, rate: 0.15 },
+        { upTo: 1_500_000, rate: 0.20 },
+        { upTo: Infinity, rate: 0.30 }
+      ],
+      rebate: { incomeLimit: 700_000, maxRebate: 25_000, marginalRelief: true },
+      surcharge: NEW_REGIME_SURCHARGE,
+      chapterVIADeductible: false
+    }
+  },
+  '2025-26': {
+    old: OLD_REGIME,
+    new: {
+      standardDeduction: 75_000,
+      slabs: [
+        { upTo: 400_000, rate: 0 },
+        { upTo: 800_000, rate: 0.05 },
+        { upTo: 1_200_000, rate: 0.10 },
+        { upTo: 1_600_000, rate: 0.15 },
+        { upTo: 2_000_000, rate: 0.20 },
+        { upTo: 2_400_000, rate: 0.25 },
+        { upTo: Infinity, rate: 0.30 }
+      ],
+      rebate: { incomeLimit: 1_200_000, maxRebate: 60_000, marginalRelief: true },
+      surcharge: NEW_REGIME_SURCHARGE,
+      chapterVIADeductible: false
+    }
+  }
+};
+
+// Withdrawal-side rules, each in force from its effective date until the next one.
+const WITHDRAWAL_RULES = [
+  {
+    effectiveFrom: '2018-04-01',
+    equityLtcg: { rate: 0.10, exemption: 100_000 },
+    otherLtcg: { rate: 0.20 },
+    nps: { taxFreeLumpSumShare: 0.40, annuityShare: 0.40 }
+  },
+  {
+    effectiveFrom: '2019-04-01',
+    equityLtcg: { rate: 0.10, exemption: 100_000 },
+    otherLtcg: { rate: 0.20 },
+    nps: { taxFreeLumpSumShare: 0.60, annuityShare: 0.40 }
+  },
+  {
+    effectiveFrom: '2024-07-23',
+    equityLtcg: { rate: 0.125, exemption: 125_000 },
+    otherLtcg: { rate: 0.125 },
+    nps: { taxFreeLumpSumShare: 0.60, annuityShare: 0.40 }
+  }
+];
+
+export const TAX_REGIMES = ['simplified', 'old', 'new'];
+export const FISCAL_YEARS = Object.keys(TAX_TABLES);
+export const DEFAULT_TAX_REGIME = 'simplified';
+export const DEFAULT_FISCAL_YEAR = FISCAL_YEARS[FISCAL_YEARS.length - 1];
+
+export function resolveTaxTable(regime = DEFAULT_TAX_REGIME, fiscalYear = DEFAULT_FISCAL_YEAR) {
+  if (!TAX_REGIMES.includes(regime)) {
+    throw new Error(`taxRegime must be one of ${TAX_REGIMES.join(', ')}`);
+  }
+  if (!TAX_TABLES[fiscalYear]) {
+    throw new Error(`fiscalYear must be one of ${FISCAL_YEARS.join(', ')}`);
+  }
+  const table = regime === 'simplified' ? SIMPLIFIED_REGIME : TAX_TABLES[fiscalYear][regime];
+  return { regime, fiscalYear, ...table };
+}
+
+function slabTax(taxableIncome, slabs) {
+  let tax = 0;
+  let lower = 0;
+
+  for (const slab of slabs) {
+    if (taxableIncome <= lower) break;
+    tax += (Math.min(taxableIncome, slab.upTo) - lower) * slab.rate;
+    lower = slab.upTo;
+  }
+
+  return tax;
+}
+
+function rebateFor(taxableIncome, tax, rebate) {
+  if (taxableIncome <= rebate.incomeLimit) {
+    return Math.min(tax, rebate.maxRebate);
+  }
+  if (rebate.marginalRelief) {
+    // Tax payable may not exceed the income earned above the rebate limit.
+    return Math.max(tax - (taxableIncome - rebate.incomeLimit), 0);
+  }
+  return 0;
+}
+
+function surchargeFor(taxableIncome, tax, table) {
+  let bandIndex = -1;
+  for (let i = 0; i < table.surcharge.length; i += 1) {
+    if (taxableIncome > table.surcharge[i].above) bandIndex = i;
+  }
+  if (bandIndex === -1) return 0;
+
+  const band = table.surcharge[bandIndex];
+  const previousRate = bandIndex > 0 ? table.surcharge[bandIndex - 1].rate : 0;
+  const surcharge = tax * band.rate;
+
+  // Marginal relief: crossing a threshold may not cost more than the income above it.
+  const taxAtThreshold = slabTax(band.above, table.slabs) * (1 + previousRate);
+  const ceiling = taxAtThreshold + (taxableIncome - band.above);
+
+  return Math.max(Math.min(surcharge, ceiling - tax), 0);
+}
+
+export function computeIncomeTax(grossIncome, table, deductions = 0) {
+  const standardDeduction = Math.min(table.standardDeduction, grossIncome);
+  const taxableIncome = Math.max(grossIncome - standardDeduction - deductions, 0);
+  const slab = slabTax(taxableIncome, table.slabs);
+  const rebate = rebateFor(taxableIncome, slab, table.rebate);
+  const afterRebate = slab - rebate;
+  const surcharge = surchargeFor(taxableIncome, afterRebate, table);
+  const cess = (afterRebate + surcharge) * (table.cessRate ?? CESS_RATE);
+
+  return {
+    grossIncome,
+    standardDeduction,
+    deductions,
+    taxableIncome,
+    slabTax: slab,
+    rebate,
+    surcharge,
+    cess,
+    total: afterRebate + surcharge + cess
+  };
+}
+
+export function npsDeductions(contribution, salary, table, claimed80C = 0) {
+  if (!table.chapterVIADeductible) {
+    return { section80CCD1B: 0, section80CCD1: 0, total: 0 };
+  }
+  if (table.npsDeduction) {
+    const section80CCD1 = Math.min(contribution, salary * table.npsDeduction.salaryShare, table.npsDeduction.cap);
+    return { section80CCD1B: 0, section80CCD1, total: section80CCD1 };
+  }
+
+  // 80CCD(1B) is claimed first since it sits outside the shared 80C limit.
+  const section80CCD1B = Math.min(contribution, SECTION_80CCD_1B_LIMIT);
+  const headroom80C = Math.max(SECTION_80C_LIMIT - claimed80C, 0);
+  const section80CCD1 = Math.min(
+    contribution - section80CCD1B,
+    salary * SECTION_80CCD_1_SALARY_SHARE,
+    headroom80C
+  );
+
+  return { section80CCD1B, section80CCD1, total: section80CCD1B + section80CCD1 };
+}
+
+export function section80CDeductions(contribution, table, claimed80C = 0) {
+  if (!table.chapterVIADeductible) {
+    return { section80C: 0, total: 0 };
+  }
+
+  const section80C = Math.min(contribution, Math.max(SECTION_80C_LIMIT - claimed80C, 0));
+  return { section80C, total: section80C };
+}
+
+export function resolveWithdrawalRule(isoDate) {
+  let rule = WITHDRAWAL_RULES[0];
+  for (const candidate of WITHDRAWAL_RULES) {
+    if (candidate.effectiveFrom <= isoDate) rule = candidate;
+  }
+  return rule;
+}
+
+export function marginalTaxRate(grossIncome, table) {
+  const taxableIncome = Math.max(grossIncome - table.standardDeduction, 0);
+  const slab = table.slabs.find((candidate) => taxableIncome <= candidate.upTo);
+  return slab.rate * (1 + (table.cessRate ?? CESS_RATE));
+}
+
+export function equityWithdrawalTax(gain, rule) {
+  const taxableGain = Math.max(gain - rule.equityLtcg.exemption, 0);
+  return taxableGain * rule.equityLtcg.rate * (1 + CESS_RATE);
+}
+
+export function npsWithdrawalTax(corpus, slabRate, rule, lumpSumShare = rule.nps.taxFreeLumpSumShare) {
+  // Only the lump sum actually taken is exempt, up to the rule's share; everything else is taxed at the slab rate.
+  const taxablePortion = corpus * (1 - Math.min(lumpSumShare, rule.nps.taxFreeLumpSumShare));
+  return taxablePortion * slabRate;
+}
+
+export function withdrawalTax(taxTreatment, { corpus, gain, slabRate, rule, lumpSumShare }) {
+  switch (taxTreatment) {
+    case 'nps':
+      return npsWithdrawalTax(corpus, slabRate, rule, lumpSumShare);
+    case 'equity':
+      return equityWithdrawalTax(gain, rule);
+    case 'flat-ltcg':
+      return Math.max(gain, 0) * rule.otherLtcg.rate * (1 + CESS_RATE);
+    case 'slab':
+      return Math.max(gain, 0) * slabRate;
+    default:
+      return 0;
+  }
+}
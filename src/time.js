@@ -1,17 +1,99 @@
 export const TIMESTAMP_FORMAT = 'YYYY-MM-DD HH:mm:ss';
+export const DEFAULT_TIME_ZONE = 'Asia/Kolkata';
 const TIMESTAMP_RE = /^(\d{4})-(\d{2})-(\d{2}) (\d{2}):(\d{2}):(\d{2})$/;
-const IST_OFFSET_SECONDS = 5 * 3600 + 30 * 60;
+const DATE_RE = /^(\d{4})-(\d{2})-(\d{2})$/;
+const SECONDS_PER_DAY = 86_400;
+const MS_PER_DAY = SECONDS_PER_DAY * 1000;
+const ISO_TIMESTAMP_RE = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2}):(\d{2})(?:\.\d+)?(Z|[+-]\d{2}:?\d{2})?$/;
 
-export function parseTimestampToEpochSeconds(value, fieldName = 'timestamp') {
+// Zones without daylight saving skip the Intl lookup, which matters for million-record payloads.
+const FIXED_OFFSET_ZONES = new Map([
+  ['Asia/Kolkata', 5 * 3600 + 30 * 60],
+  ['Asia/Calcutta', 5 * 3600 + 30 * 60],
+  ['UTC', 0],
+  ['Etc/UTC', 0]
+]);
+const zoneFormatters = new Map();
+
+function zoneFormatter(timeZone) {
+  let formatter = zoneFormatters.get(timeZone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    });
+    zoneFormatters.set(timeZone, formatter);
+  }
+  return formatter;
+}
+
+export function assertTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone) {
+    throw new Error('timezone must be an IANA time zone name');
+  }
+  if (FIXED_OFFSET_ZONES.has(timeZone)) {
+    return timeZone;
+  }
+  try {
+    zoneFormatter(timeZone);
+  } catch {
+    throw new Error(`timezone ${timeZone} is not a known IANA time zone`);
+  }
+  return timeZone;
+}
+
+function zoneOffsetSeconds(epochSeconds, timeZone) {
+  const fixed = FIXED_OFFSET_ZONES.get(timeZone);
+  if (fixed !== undefined) {
+    return fixed;
+  }
+
+  const parts = {};
+  for (const part of zoneFormatter(timeZone).formatToParts(new Date(epochSeconds * 1000))) {
+    parts[part.type] = part.value;
+  }
+
+  const wallSeconds = Date.UTC(
+    Number(parts.year), Number(parts.month) - 1, Number(parts.day),
+    Number(parts.hour), Number(parts.minute), Number(parts.second)
+  ) / 1000;
+  return wallSeconds - epochSeconds;
+}
+
+export function epochToWallClockSeconds(epochSeconds, timeZone) {
+  return epochSeconds + zoneOffsetSeconds(epochSeconds, timeZone);
+}
+
+export function wallClockToEpochSeconds(wallSeconds, timeZone) {
+  // Two passes settle the offset on either side of a daylight-saving change.
+  const guess = wallSeconds - zoneOffsetSeconds(wallSeconds, timeZone);
+  return wallSeconds - zoneOffsetSeconds(guess, timeZone);
+}
+
+function parseOffsetSeconds(designator) {
+  if (designator === 'Z') return 0;
+
+  const sign = designator[0] === '-' ? -1 : 1;
+  const digits = designator.slice(1).replace(':', '');
+  return sign * (Number(digits.slice(0, 2)) * 3600 + Number(digits.slice(2)) * 60);
+}
+
+export function parseTimestampToEpochSeconds(value, fieldName = 'timestamp', timeZone = DEFAULT_TIME_ZONE) {
   if (typeof value !== 'string') {
     throw new Error(`${fieldName} must be a string in format ${TIMESTAMP_FORMAT}`);
   }
 
   const trimmed = value.trim();
-  const match = trimmed.match(TIMESTAMP_RE);
+  const match = trimmed.match(TIMESTAMP_RE) ?? trimmed.match(ISO_TIMESTAMP_RE);
 
   if (!match) {
-    throw new Error(`${fieldName} must follow ${TIMESTAMP_FORMAT}`);
+    throw new Error(`${fieldName} must follow ${TIMESTAMP_FORMAT} or ISO 8601`);
   }
 
   const year = Number(match[1]);
@@ -36,11 +118,15 @@ export function parseTimestampToEpochSeconds(value, fieldName = 'timestamp') {
     throw new Error(`${fieldName} is not a valid calendar timestamp`);
   }
 
-  return Math.floor((utcMs - IST_OFFSET_SECONDS * 1000) / 1000);
+  const wallSeconds = Math.floor(utcMs / 1000);
+  if (match[7] !== undefined) {
+    return wallSeconds - parseOffsetSeconds(match[7]);
+  }
+  return wallClockToEpochSeconds(wallSeconds, timeZone);
 }
 
-export function formatEpochSecondsToTimestamp(epochSeconds) {
-  const localMs = epochSeconds * 1000 + IST_OFFSET_SECONDS * 1000;
+export function formatEpochSecondsToTimestamp(epochSeconds, timeZone = DEFAULT_TIME_ZONE) {
+  const localMs = (epochSeconds + zoneOffsetSeconds(epochSeconds, timeZone)) * 1000;
   const d = new Date(localMs);
 
   const year = d.getUTCFullYear();
@@ -60,3 +146,53 @@ export function parseTimestampLike(value, fallbackValue, fieldName) {
   }
   return chosen;
 }
+
+export function civilDayNumber(year, month, day) {
+  return Date.UTC(year, month - 1, day) / MS_PER_DAY;
+}
+
+export function civilDate(dayNumber) {
+  const date = new Date(dayNumber * MS_PER_DAY);
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+}
+
+// 0 is Sunday; day 0 (1970-01-01) was a Thursday.
+export function weekdayOfDay(dayNumber) {
+  return (((dayNumber + 4) % 7) + 7) % 7;
+}
+
+export function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+export function parseCivilDate(value, fieldName = 'date') {
+  const match = typeof value === 'string' ? value.trim().match(DATE_RE) : null;
+  if (!match) {
+    throw new Error(`${fieldName} must follow YYYY-MM-DD`);
+  }
+
+  const [year, month, day] = match.slice(1).map(Number);
+  if (month < 1 || month > 12 || day < 1 || day > daysInMonth(year, month)) {
+    throw new Error(`${fieldName} is not a valid calendar date`);
+  }
+  return { year, month, day };
+}
+
+// Anniversaries of 29 February fall on 28 February in common years.
+export function addYearsToDate({ year, month, day }, years) {
+  const targetYear = year + years;
+  return { year: targetYear, month, day: Math.min(day, daysInMonth(targetYear, month)) };
+}
+
+export function completedYearsBetween(from, to) {
+  const beforeAnniversary = to.month < from.month || (to.month === from.month && to.day < from.day);
+  return to.year - from.year - (beforeAnniversary ? 1 : 0);
+}
+
+export function startOfDayEpochSeconds({ year, month, day }, timeZone = DEFAULT_TIME_ZONE) {
+  return wallClockToEpochSeconds(civilDayNumber(year, month, day) * SECONDS_PER_DAY, timeZone);
+}
+
+export function civilDateOfEpoch(epochSeconds, timeZone = DEFAULT_TIME_ZONE) {
+  return civilDate(Math.floor(epochToWallClockSeconds(epochSeconds, timeZone) / SECONDS_PER_DAY));
+}
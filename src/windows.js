@@ -0,0 +1,129 @@
+import {
+  epochToWallClockSeconds,
+  wallClockToEpochSeconds,
+  civilDayNumber,
+  civilDate,
+  weekdayOfDay
+} from './time.js';
+
+export const WINDOW_GENERATORS = ['monthly', 'quarterly', 'fiscalYear', 'isoWeek', 'rolling'];
+const SECONDS_PER_DAY = 86_400;
+// Indian fiscal years run April to March.
+const FISCAL_START_MONTH = 4;
+
+function specError(fieldName, field, problem) {
+  const error = new Error(`${fieldName}.${field} ${problem}`);
+  error.field = field;
+  return error;
+}
+
+function pad2(value) {
+  return String(value).padStart(2, '0');
+}
+
+function fiscalLabel(startYear) {
+  return `FY${pad2((startYear + 1) % 100)}`;
+}
+
+function monthIndexOf(day) {
+  const { year, month } = civilDate(day);
+  return year * 12 + month - 1;
+}
+
+function firstDayOfMonthIndex(index) {
+  return civilDayNumber(Math.floor(index / 12), (index % 12) + 1, 1);
+}
+
+function isoWeekLabel(monday) {
+  // The ISO week belongs to the year holding its Thursday.
+  const thursday = monday + 3;
+  const { year } = civilDate(thursday);
+  const week = Math.floor((thursday - civilDayNumber(year, 1, 1)) / 7) + 1;
+  return `${year}-W${pad2(week)}`;
+}
+
+function* monthBuckets(firstIndex, lastIndex, span, labelFor) {
+  for (let index = firstIndex; index <= lastIndex; index += span) {
+    yield { from: firstDayOfMonthIndex(index), to: firstDayOfMonthIndex(index + span), label: labelFor(index) };
+  }
+}
+
+function calendarBuckets(spec, firstDay, lastDay) {
+  const firstMonth = monthIndexOf(firstDay);
+  const lastMonth = monthIndexOf(lastDay);
+
+  switch (spec.generate) {
+    case 'monthly':
+      return monthBuckets(firstMonth, lastMonth, 1, (index) => `${Math.floor(index / 12)}-${pad2((index % 12) + 1)}`);
+    case 'quarterly': {
+      const shift = spec.fiscal ? FISCAL_START_MONTH - 1 : 0;
+      const align = (index) => index - (((index - shift) % 3) + 3) % 3;
+      return monthBuckets(align(firstMonth), lastMonth, 3, (index) => {
+        const yearStart = Math.floor((index - shift) / 12);
+        const quarter = Math.floor((((index - shift) % 12) + 12) % 12 / 3) + 1;
+        return spec.fiscal ? `${fiscalLabel(yearStart)}-Q${quarter}` : `${yearStart}-Q${quarter}`;
+      });
+    }
+    case 'fiscalYear': {
+      const shift = FISCAL_START_MONTH - 1;
+      const first = firstMonth - ((((firstMonth - shift) % 12) + 12) % 12);
+      return monthBuckets(first, lastMonth, 12, (index) => fiscalLabel(Math.floor(index / 12)));
+    }
+    default:
+      return (function* isoWeeks() {
+        for (let monday = firstDay - ((weekdayOfDay(firstDay) + 6) % 7); monday <= lastDay; monday += 7) {
+          yield { from: monday, to: monday + 7, label: isoWeekLabel(monday) };
+        }
+      })();
+  }
+}
+
+function parseDayCount(value, fieldName, field) {
+  if (!Number.isInteger(value) || value < 1) {
+    throw specError(fieldName, field, 'must be a positive integer');
+  }
+  return value;
+}
+
+// Calendar buckets are whole months, quarters, fiscal years or ISO weeks touching [start, end].
+// Rolling windows begin at start and advance by stepDays while they still begin on or before end.
+export function generateWindows(spec, { start, end, timeZone, fieldName = 'k' }) {
+  if (!WINDOW_GENERATORS.includes(spec.generate)) {
+    throw specError(fieldName, 'generate', `must be one of ${WINDOW_GENERATORS.join(', ')}`);
+  }
+  if (spec.fiscal !== undefined && typeof spec.fiscal !== 'boolean') {
+    throw specError(fieldName, 'fiscal', 'must be a boolean');
+  }
+
+  const startWall = epochToWallClockSeconds(start, timeZone);
+  const endWall = epochToWallClockSeconds(end, timeZone);
+  const toEpoch = (wallSeconds) => wallClockToEpochSeconds(wallSeconds, timeZone);
+
+  if (spec.generate === 'rolling') {
+    const windowDays = parseDayCount(spec.windowDays, fieldName, 'windowDays');
+    const stepDays = parseDayCount(spec.stepDays ?? windowDays, fieldName, 'stepDays');
+
+    return (function* rollingWindows() {
+      for (let from = startWall; from <= endWall; from += stepDays * SECONDS_PER_DAY) {
+        const { year, month, day } = civilDate(Math.floor(from / SECONDS_PER_DAY));
+        yield {
+          start: toEpoch(from),
+          end: toEpoch(from + windowDays * SECONDS_PER_DAY) - 1,
+          label: `${year}-${pad2(month)}-${pad2(day)}/P${windowDays}D`
+        };
+      }
+    })();
+  }
+
+  const buckets = calendarBuckets(
+    spec,
+    Math.floor(startWall / SECONDS_PER_DAY),
+    Math.floor(endWall / SECONDS_PER_DAY)
+  );
+
+  return (function* calendarWindows() {
+    for (const { from, to, label } of buckets) {
+      yield { start: toEpoch(from * SECONDS_PER_DAY), end: toEpoch(to * SECONDS_PER_DAY) - 1, label };
+    }
+  })();
+}
@@ -7,6 +7,7 @@ Command with necessary arguments for execution: npm test
 import test from 'node:test';
 import assert from 'node:assert/strict';
 import { once } from 'node:events';
+import { request } from 'node:http';
 import { createServer } from '../src/app.js';
 
 function sampleTransactions() {
@@ -99,6 +100,214 @@ test('POST /transactions:validator reports duplicates', async () => {
   assert.equal(body.invalid[0].code, 'DUPLICATE_TIMESTAMP');
 });
 
+test('qConflict selects how overlapping q periods are resolved and is echoed back', async () => {
+  const q = [
+    { fixed: 10, start: '2023-07-01 00:00:00', end: '2023-07-31 23:59:59', priority: 5 },
+    { fixed: 40, start: '2023-07-12 00:00:00', end: '2023-07-16 23:59:59' },
+    { fixed: 20, start: '2023-07-14 00:00:00', end: '2023-07-31 23:59:59' },
+    { fixed: 30, start: '2023-07-05 00:00:00', end: '2023-07-25 23:59:59' }
+  ];
+  const remanentFor = async (qConflict) => {
+    const res = await fetch(`${baseUrl}/blackrock/challenge/v1/transactions:filter`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({ transactions: [{ timestamp: '2023-07-15 12:00:00', amount: 250 }], q, qConflict })
+    });
+    const body = await res.json();
+    return [body.qConflict, body.valid[0].remanent];
+  };
+
+  assert.deepEqual(await remanentFor(undefined), ['latest-start', 20]);
+  assert.deepEqual(await remanentFor('highest-fixed'), ['highest-fixed', 40]);
+  assert.deepEqual(await remanentFor('lowest-fixed'), ['lowest-fixed', 10]);
+  assert.deepEqual(await remanentFor('shortest'), ['shortest', 40]);
+  assert.deepEqual(await remanentFor('priority'), ['priority', 10]);
+  assert.deepEqual(await remanentFor('last-in-input'), ['last-in-input', 30]);
+
+  const res = await fetch(`${baseUrl}/blackrock/challenge/v1/transactions:filter`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ transactions: [], q, qConflict: 'random' })
+  });
+  assert.equal(res.status, 400);
+  assert.equal((await res.json()).errors[0].path, '/qConflict');
+});
+
+test('explain=true traces q, p and k rule application per transaction', async () => {
+  const periods = samplePeriods();
+  periods.q.push({ id: 'promo', fixed: 5, start: '2023-06-15 00:00:00', end: '2023-07-10 23:59:59' });
+
+  const res = await fetch(`${baseUrl}/blackrock/challenge/v1/transactions:filter?explain=true`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ transactions: sampleTransactions(), ...periods })
+  });
+
+  assert.equal(res.status, 200);
+  const body = await res.json();
+  assert.deepEqual(body.savingsByDates.map((entry) => entry.transactionCount), [2, 4]);
+  assert.deepEqual(body.explain, [
+    {
+      index: 0,
+      timestamp: '2023-10-12 20:15:00',
+      remanentBase: 50,
+      remanentFinal: 75,
+      q: null,
+      p: [{ id: 'p-0', extra: 25 }],
+      k: ['k-0', 'k-1']
+    },
+    { index: 1, timestamp: '2023-02-28 15:49:00', remanentBase: 25, remanentFinal: 25, q: null, p: [], k: ['k-1'] },
+    {
+      index: 2,
+      timestamp: '2023-07-01 21:59:00',
+      remanentBase: 80,
+      remanentFinal: 0,
+      q: { id: 'q-0', fixed: 0, competing: ['promo'] },
+      p: [],
+      k: ['k-0', 'k-1']
+    },
+    {
+      index: 3,
+      timestamp: '2023-12-17 08:09:00',
+      remanentBase: 20,
+      remanentFinal: 45,
+      q: null,
+      p: [{ id: 'p-0', extra: 25 }],
+      k: ['k-1']
+    }
+  ]);
+
+  const returns = await (await fetch(`${baseUrl}/blackrock/challenge/v1/returns:nps`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ age: 29, wage: 50000, inflation: 5.5, transactions: sampleTransactions(), ...periods, explain: true })
+  })).json();
+  assert.equal(returns.explain.length, 4);
+  assert.equal(returns.savingsByDates[1].transactionCount, 4);
+
+  const plain = await (await fetch(`${baseUrl}/blackrock/challenge/v1/transactions:filter`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ transactions: sampleTransactions(), ...periods })
+  })).json();
+  assert.equal(plain.explain, undefined);
+  assert.equal(plain.savingsByDates[0].transactionCount, undefined);
+});
+
+test('duplicate policy groups card retries and honours the merge strategy', async () => {
+  const transactions = [
+    { timestamp: '2023-10-12 20:15:00', amount: 240, merchant: 'Cafe' },
+    { timestamp: '2023-10-12 20:15:00', amount: 120, merchant: 'Books' },
+    { timestamp: '2023-10-12 20:15:08', amount: 240, merchant: 'CAFE ' },
+    { timestamp: '2023-10-12 20:20:00', amount: 240, merchant: 'Cafe' }
+  ];
+  const post = async (route, body) => (await fetch(`${baseUrl}/blackrock/challenge/v1/${route}`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify(body)
+  })).json();
+  const policy = (strategy) => ({ toleranceSeconds: 10, match: ['amount', 'merchant'], strategy });
+
+  const validated = await post('transactions:validator', { wage: 50000, transactions, duplicatePolicy: policy('keep-last') });
+  assert.deepEqual(validated.valid.map((tx) => tx.timestamp), ['2023-10-12 20:15:00', '2023-10-12 20:15:08', '2023-10-12 20:20:00']);
+  assert.equal(validated.valid[0].merchant, 'Books');
+  assert.equal(validated.invalid[0].message, 'Duplicate of transactions[2]');
+  assert.deepEqual(validated.duplicateGroups, [{
+    strategy: 'keep-last',
+    rows: [
+      { index: 0, kept: false, transaction: validated.duplicates[0] },
+      { index: 2, kept: true, transaction: validated.valid[1] }
+    ]
+  }]);
+
+  const summed = await post('transactions:filter', { transactions, duplicatePolicy: policy('sum'), k: [] });
+  assert.deepEqual(summed.valid.map((tx) => [tx.amount, tx.remanent]), [[480, 20], [120, 80], [240, 60]]);
+  assert.equal(summed.duplicateGroups[0].merged.amount, 480);
+  assert.equal(summed.invalid.length, 0);
+
+  const kept = await post('transactions:filter', { transactions, duplicatePolicy: policy('keep-all') });
+  assert.equal(kept.valid.length, 4);
+  assert.deepEqual(kept.duplicateGroups[0].rows.map((row) => row.kept), [true, true]);
+
+  const returns = await post('returns:index', {
+    age: 29,
+    wage: 50000,
+    inflation: 5.5,
+    transactions,
+    duplicatePolicy: policy('sum'),
+    k: [{ start: '2023-10-01 00:00:00', end: '2023-10-31 23:59:59' }]
+  });
+  assert.equal(returns.savingsByDates[0].amount, 160);
+
+  const invalidPolicy = await fetch(`${baseUrl}/blackrock/challenge/v1/transactions:filter`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ transactions, duplicatePolicy: { strategy: 'newest' } })
+  });
+  assert.equal(invalidPolicy.status, 400);
+  assert.equal((await invalidPolicy.json()).path, '/duplicatePolicy/strategy');
+});
+
+test('POST /transactions:validator applies wage-aware anomaly rules by severity', async () => {
+  const validate = async (body) => {
+    const res = await fetch(`${baseUrl}/blackrock/challenge/v1/transactions:validator`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    return [res.status, await res.json()];
+  };
+
+  const [status, body] = await validate({
+    wage: 10000,
+    asOf: '2024-01-01 00:00:00',
+    rules: { futureTimestamp: 'error', npsHeadroom: { severity: 'error', share: 5 } },
+    transactions: [
+      { timestamp: '2024-01-02 00:00:00', amount: 100 },
+      { timestamp: '2023-03-01 10:00:00', amount: 6000 },
+      { timestamp: '2023-03-05 10:00:00', amount: 3000 },
+      { timestamp: '2023-03-10 10:00:00', amount: 1500 },
+      ...Array.from({ length: 7 }, (_, day) => ({ timestamp: `2023-04-0${day + 1} 10:00:00`, amount: 1 }))
+    ]
+  });
+
+  assert.equal(status, 200);
+  assert.equal(body.valid.length, 8);
+  assert.deepEqual(body.invalid.map(({ code, severity }) => [code, severity]), [
+    ['FUTURE_TIMESTAMP', 'error'],
+    ['NPS_HEADROOM_EXCEEDED', 'error'],
+    ['NPS_HEADROOM_EXCEEDED', 'error']
+  ]);
+  assert.equal(body.invalid[1].transaction.timestamp, '2023-04-06 10:00:00');
+  assert.deepEqual(body.warnings.map(({ code, transaction }) => [code, transaction.timestamp]), [
+    ['AMOUNT_ABOVE_WAGE_SHARE', '2023-03-01 10:00:00'],
+    ['MONTHLY_SPEND_ABOVE_WAGE', '2023-03-10 10:00:00']
+  ]);
+  assert.match(body.warnings[1].message, /spending in 2023-03 reaches 10500\.00/);
+
+  const [, future] = await validate({
+    wage: 100000,
+    asOf: '2023-06-01 00:00:00',
+    transactions: [{ timestamp: '2023-10-01 10:00:00', amount: 100 }]
+  });
+  assert.equal(future.valid.length, 1);
+  assert.deepEqual(future.warnings.map(({ code, severity }) => [code, severity]), [['FUTURE_TIMESTAMP', 'warning']]);
+
+  const amounts = [100, 110, 120, 105, 95, 115, 100, 5000];
+  const [, outliers] = await validate({
+    wage: 1000000,
+    rules: { futureTimestamp: 'off' },
+    transactions: amounts.map((amount, index) => ({ timestamp: `2023-05-0${index + 1} 10:00:00`, amount }))
+  });
+  assert.equal(outliers.valid.length, 8);
+  assert.deepEqual(outliers.warnings.map(({ code, transaction }) => [code, transaction.amount]), [['STATISTICAL_OUTLIER', 5000]]);
+
+  const [badStatus, bad] = await validate({ wage: 10000, transactions: [], rules: { largeAmount: { severity: 'loud' } } });
+  assert.equal(badStatus, 400);
+  assert.equal(bad.code, 'INVALID_ENUM');
+  assert.equal(bad.path, '/rules/largeAmount/severity');
+});
+
 test('POST /transactions:filter applies q->p->k rules with inclusive bounds', async () => {
   const parseRes = await fetch(`${baseUrl}/blackrock/challenge/v1/transactions:parse`, {
     method: 'POST',
@@ -133,6 +342,113 @@ test('POST /transactions:filter applies q->p->k rules with inclusive bounds', as
   assert.equal(octTx.remanentFinal, 75);
 });
 
+test('POST /transactions:filter expands recurring q and p periods from rrules', async () => {
+  const res = await fetch(`${baseUrl}/blackrock/challenge/v1/transactions:filter`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({
+      transactions: [
+        { timestamp: '2023-10-01 10:00:00', amount: 250 },
+        { timestamp: '2023-10-04 12:00:00', amount: 375 },
+        { timestamp: '2023-10-07 18:30:00', amount: 480 },
+        { timestamp: '2023-11-01 09:00:00', amount: 620 }
+      ],
+      q: [
+        { fixed: 0, start: '2023-01-01 00:00:00', rrule: 'FREQ=MONTHLY;BYMONTHDAY=1', duration: 'P1D' },
+        { fixed: 5, start: '2023-11-01 08:00:00', end: '2023-11-01 23:59:59' }
+      ],
+      p: [{ extra: 20, start: '2023-01-01 00:00:00', rrule: 'FREQ=WEEKLY;BYDAY=SA,SU', duration: 'P1D' }],
+      k: [{ start: '2023-01-01 00:00:00', end: '2023-12-31 23:59:59' }]
+    })
+  });
+
+  assert.equal(res.status, 200);
+  const body = await res.json();
+  assert.deepEqual(body.valid.map((tx) => tx.remanentFinal), [20, 25, 40, 5]);
+  assert.equal(body.savingsByDates[0].amount, 90);
+
+  const bad = await fetch(`${baseUrl}/blackrock/challenge/v1/transactions:filter`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({
+      transactions: [],
+      p: [{ extra: 20, start: '2023-01-01 00:00:00', end: '2023-12-31 00:00:00', rrule: 'FREQ=DAILY', duration: 'P1D' }]
+    })
+  });
+  assert.equal(bad.status, 400);
+  assert.match((await bad.json()).error, /p\[0\]\.end cannot be combined with rrule/);
+});
+
+test('POST /transactions:filter skips ahead to the first transaction and caps recurrence expansion', async () => {
+  const request = (p) => fetch(`${baseUrl}/blackrock/challenge/v1/transactions:filter`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({
+      transactions: [
+        { timestamp: '1990-01-01 10:00:00', amount: 250 },
+        { timestamp: '2023-10-07 18:30:00', amount: 480 }
+      ],
+      q: [{ fixed: 0, start: '1900-01-01 00:00:00', rrule: 'FREQ=DAILY', duration: 'PT12H' }],
+      p,
+      k: []
+    })
+  });
+
+  const skipped = await request([]);
+  assert.equal(skipped.status, 200);
+  assert.deepEqual((await skipped.json()).valid.map((tx) => tx.remanentFinal), [0, 20]);
+
+  const daily = { extra: 1, start: '1990-01-01 00:00:00', rrule: 'FREQ=DAILY', duration: 'PT1H' };
+  const capped = await request(Array.from({ length: 10 }, () => daily));
+  assert.equal(capped.status, 400);
+  const body = await capped.json();
+  assert.equal(body.code, 'TOO_MANY_ITEMS');
+  assert.match(body.error, /^p would expand past 100000 occurrences/);
+
+  const plain = { extra: 1, start: '2023-10-07 00:00:00', end: '2023-10-07 23:59:59' };
+  const manyPlain = await request(Array.from({ length: 100_001 }, () => plain));
+  assert.equal(manyPlain.status, 200);
+  assert.deepEqual((await manyPlain.json()).valid.map((tx) => tx.remanentFinal), [0, 100021]);
+});
+
+test('POST /transactions:filter generates labelled k windows', async () => {
+  const filter = (k) => fetch(`${baseUrl}/blackrock/challenge/v1/transactions:filter`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ transactions: sampleTransactions(), k })
+  });
+
+  const res = await filter([
+    { generate: 'monthly', start: '2023-04-01 00:00:00', end: '2024-03-31 23:59:59' },
+    { generate: 'quarterly', start: '2023-01-01 00:00:00', end: '2023-12-31 23:59:59' },
+    { generate: 'quarterly', fiscal: true, start: '2023-10-01 00:00:00', end: '2023-10-01 00:00:00' },
+    { generate: 'fiscalYear', start: '2023-02-01 00:00:00', end: '2023-12-31 23:59:59' },
+    { generate: 'isoWeek', start: '2023-01-01 00:00:00', end: '2023-01-02 00:00:00' },
+    { generate: 'rolling', windowDays: 30, stepDays: 15, start: '2023-10-01 00:00:00', end: '2023-10-31 23:59:59' },
+    { start: '2023-01-01 00:00:00', end: '2023-12-31 23:59:59', label: 'CY2023' }
+  ]);
+
+  assert.equal(res.status, 200);
+  const { savingsByDates } = await res.json();
+  const labels = savingsByDates.map((entry) => entry.label);
+
+  assert.deepEqual(labels.slice(0, 3), ['2023-04', '2023-05', '2023-06']);
+  assert.equal(labels[11], '2024-03');
+  assert.deepEqual(labels.slice(12, 16), ['2023-Q1', '2023-Q2', '2023-Q3', '2023-Q4']);
+  assert.deepEqual(labels.slice(16, 20), ['FY24-Q3', 'FY23', 'FY24', '2022-W52']);
+  assert.deepEqual(labels.slice(20), ['2023-W01', '2023-10-01/P30D', '2023-10-16/P30D', '2023-10-31/P30D', 'CY2023']);
+
+  const october = savingsByDates.find((entry) => entry.label === '2023-10');
+  assert.deepEqual(october, { start: '2023-10-01 00:00:00', end: '2023-10-31 23:59:59', label: '2023-10', amount: 50 });
+  assert.equal(savingsByDates.find((entry) => entry.label === 'FY24').end, '2024-03-31 23:59:59');
+
+  const capped = await filter([{ generate: 'rolling', windowDays: 1, start: '2000-01-01 00:00:00', end: '2099-12-31 00:00:00' }]);
+  assert.equal(capped.status, 400);
+  const cappedBody = await capped.json();
+  assert.equal(cappedBody.errors[0].code, 'TOO_MANY_ITEMS');
+  assert.match(cappedBody.error, /past 10000 windows/);
+});
+
 test('POST /returns:nps calculates projected and real values', async () => {
   const parseRes = await fetch(`${baseUrl}/blackrock/challenge/v1/transactions:parse`, {
     method: 'POST',
@@ -178,3 +494,1058 @@ test('strict timestamp validation rejects malformed timestamps', async () => {
   const body = await res.json();
   assert.match(body.error, /YYYY-MM-DD HH:mm:ss/);
 });
+
+test('POST /transactions:parse imports CSV statements and skips credit rows', async () => {
+  const csv = [
+    'Txn Date,Narration,Dr/Cr,Amount',
+    '12/10/2023,UPI-CAFE,DR,250.00',
+    '13/10/2023,SALARY,CR,"50,000.00"',
+    '14/10/2023,"GROCER, LOCAL",DR,"1,375.50"'
+  ].join('\r\n');
+
+  const query = new URLSearchParams({
+    dateColumn: 'Txn Date',
+    dateFormat: 'DD/MM/YYYY',
+    amountColumn: 'Amount',
+    typeColumn: 'Dr/Cr'
+  });
+
+  const res = await fetch(`${baseUrl}/blackrock/challenge/v1/transactions:parse?${query}`, {
+    method: 'POST',
+    headers: { 'content-type': 'text/csv' },
+    body: csv
+  });
+
+  assert.equal(res.status, 200);
+  const body = await res.json();
+
+  assert.equal(body.transactions.length, 2);
+  assert.equal(body.skippedCredits, 1);
+  assert.equal(body.transactions[0].timestamp, '2023-10-12 00:00:00');
+  assert.equal(body.transactions[1].amount, 1375.5);
+  assert.equal(body.transactionsTotalRemanent, 74.5);
+});
+
+test('POST /transactions:parse reports the statement line of a bad CSV row', async () => {
+  const csv = 'date,amount\n2023-10-12 20:15:00,250\n\n2023-10-13 09:00:00,abc\n';
+
+  const res = await fetch(`${baseUrl}/blackrock/challenge/v1/transactions:parse`, {
+    method: 'POST',
+    headers: { 'content-type': 'text/csv; charset=utf-8' },
+    body: csv
+  });
+
+  assert.equal(res.status, 400);
+  const body = await res.json();
+  assert.match(body.error, /line 4/);
+  assert.equal(body.details.line, 4);
+});
+
+test('POST /transactions:parse imports OFX debits', async () => {
+  const ofx = [
+    'OFXHEADER:100',
+    '<OFX><BANKMSGSRSV1><STMTTRNRS><STMTRS><BANKTRANLIST>',
+    '<STMTTRN><TRNTYPE>DEBIT<DTPOSTED>20231012201500.000[+5.5:IST]<TRNAMT>-250.00<NAME>CAFE</STMTTRN>',
+    '<STMTTRN><TRNTYPE>CREDIT<DTPOSTED>20231013<TRNAMT>1000.00<NAME>REFUND</STMTTRN>',
+    '<STMTTRN><TRNTYPE>DEBIT<DTPOSTED>20231014023000[0:GMT]<TRNAMT>-480<NAME>SHOP</STMTTRN>',
+    '</BANKTRANLIST></STMTRS></STMTTRNRS></BANKMSGSRSV1></OFX>'
+  ].join('\n');
+
+  const res = await fetch(`${baseUrl}/blackrock/challenge/v1/transactions:parse`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/x-ofx' },
+    body: ofx
+  });
+
+  assert.equal(res.status, 200);
+  const body = await res.json();
+
+  assert.equal(body.transactions.length, 2);
+  assert.equal(body.skippedCredits, 1);
+  assert.equal(body.transactions[0].timestamp, '2023-10-12 20:15:00');
+  assert.equal(body.transactions[1].timestamp, '2023-10-14 08:00:00');
+  assert.equal(body.transactionsTotalAmount, 730);
+});
+
+test('POST /transactions:parse extracts expenses from bank SMS alerts', async () => {
+  const res = await fetch(`${baseUrl}/blackrock/challenge/v1/transactions:parse`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({
+      messages: [
+        'INR 250.00 debited from A/c XX1234 on 12-10-23 20:15',
+        'Rs.375.00 debited from a/c **1234 on 28-02-23 to VPA cafe@okaxis (UPI Ref No 123456789012).',
+        'INR 5000.00 credited to your A/c XX1234 on 12-10-23. Info: SALARY',
+        'Your OTP is 123456'
+      ]
+    })
+  });
+
+  assert.equal(res.status, 200);
+  const body = await res.json();
+
+  assert.equal(body.transactions.length, 2);
+  assert.equal(body.transactions[0].timestamp, '2023-10-12 20:15:00');
+  assert.equal(body.transactions[1].merchant, 'cafe@okaxis');
+  assert.equal(body.transactionsTotalRemanent, 75);
+  assert.equal(body.skippedCredits, 1);
+  assert.equal(body.unrecognized.length, 1);
+  assert.equal(body.unrecognized[0].index, 3);
+});
+
+test('rounding policy applies multiples, multipliers, bounds and exact-multiple skipping', async () => {
+  const rounding = { multiple: 50, multiplier: 2, minRemanent: 10, maxRemanent: 60, skipExactMultiples: true };
+
+  const parseRes = await fetch(`${baseUrl}/blackrock/challenge/v1/transactions:parse`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({
+      rounding,
+      expenses: [
+        { timestamp: '2023-01-01 10:00:00', amount: 120 },
+        { timestamp: '2023-01-02 10:00:00', amount: 149 },
+        { timestamp: '2023-01-03 10:00:00', amount: 200 },
+        { timestamp: '2023-01-04 10:00:00', amount: 101 }
+      ]
+    })
+  });
+
+  assert.equal(parseRes.status, 200);
+  const parseBody = await parseRes.json();
+  const remanents = parseBody.transactions.map((tx) => tx.remanent);
+
+  assert.deepEqual(remanents, [60, 10, 0, 60]);
+  assert.equal(parseBody.transactions[0].ceiling, 150);
+
+  const validatorRes = await fetch(`${baseUrl}/blackrock/challenge/v1/transactions:validator`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({
+      wage: 50000,
+      rounding,
+      transactions: [
+        { timestamp: '2023-01-01 10:00:00', amount: 120, ceiling: 150, remanent: 60 },
+        { timestamp: '2023-01-02 10:00:00', amount: 149, ceiling: 150, remanent: 1 }
+      ]
+    })
+  });
+
+  const validatorBody = await validatorRes.json();
+  assert.equal(validatorBody.valid.length, 1);
+  assert.equal(validatorBody.invalid[0].code, 'REMANENT_MISMATCH');
+});
+
+test('rounding policy rejects unsupported multiples', async () => {
+  const res = await fetch(`${baseUrl}/blackrock/challenge/v1/transactions:filter`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ rounding: { multiple: 25 }, transactions: [] })
+  });
+
+  assert.equal(res.status, 400);
+  const body = await res.json();
+  assert.match(body.error, /rounding.multiple/);
+
+  for (const multiple of ['100.0', '1e2']) {
+    const numeric = await fetch(`${baseUrl}/blackrock/challenge/v1/transactions:filter`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({ rounding: { multiple }, transactions: [{ timestamp: '2023-10-12 20:15:00', amount: 250 }] })
+    });
+    assert.equal(numeric.status, 200);
+    assert.equal((await numeric.json()).valid[0].ceiling, 300);
+  }
+});
+
+test('POST /returns:nps derives taxBenefit from the selected regime', async () => {
+  const periods = samplePeriods();
+  const transactions = sampleTransactions();
+
+  const res = await fetch(`${baseUrl}/blackrock/challenge/v1/returns:nps`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({
+      age: 29,
+      wage: 100000,
+      inflation: 5.5,
+      taxRegime: 'old',
+      fiscalYear: '2024-25',
+      claimed80C: 150000,
+      transactions,
+      ...periods
+    })
+  });
+
+  assert.equal(res.status, 200);
+  const body = await res.json();
+
+  assert.deepEqual(body.tax, { regime: 'old', fiscalYear: '2024-25' });
+  const entry = body.savingsByDates[1];
+  assert.equal(entry.taxBreakdown.deductions.section80CCD1B, 145);
+  assert.equal(entry.taxBreakdown.withoutContribution.taxableIncome, 1150000);
+  assert.equal(entry.taxBenefit, 45.24);
+});
+
+test('POST /returns:nps keeps the simplified taxBenefit when taxRegime is omitted', async () => {
+  const res = await fetch(`${baseUrl}/blackrock/challenge/v1/returns:nps`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({
+      age: 29,
+      wage: 100000,
+      inflation: 5.5,
+      transactions: [{ date: '2023-02-28 15:49:20', amount: 250 }],
+      q: [],
+      p: [],
+      k: [{ start: '2023-01-01 00:00:00', end: '2023-12-31 23:59:59' }]
+    })
+  });
+
+  assert.equal(res.status, 200);
+  const body = await res.json();
+
+  assert.equal(body.tax.regime, 'simplified');
+  assert.equal(body.savingsByDates[0].amount, 50);
+  assert.equal(body.savingsByDates[0].taxBenefit, 7.5);
+});
+
+test('POST /returns:index ignores tax options it does not use', async () => {
+  const res = await fetch(`${baseUrl}/blackrock/challenge/v1/returns:index`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({
+      age: 29,
+      wage: 50000,
+      inflation: 5.5,
+      taxRegime: 'flat',
+      transactions: sampleTransactions(),
+      ...samplePeriods()
+    })
+  });
+
+  assert.equal(res.status, 200);
+  const body = await res.json();
+  assert.equal('tax' in body, false);
+});
+
+test('returns routes report post-tax maturity values', async () => {
+  const payload = {
+    age: 29,
+    wage: 50000,
+    inflation: 5.5,
+    taxRegime: 'new',
+    transactions: sampleTransactions(),
+    ...samplePeriods()
+  };
+
+  const [npsRes, indexRes] = await Promise.all(['nps', 'index'].map((instrument) =>
+    fetch(`${baseUrl}/blackrock/challenge/v1/returns:${instrument}`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify(payload)
+    })
+  ));
+
+  const nps = await npsRes.json();
+  const index = await indexRes.json();
+
+  assert.equal(nps.withdrawal.date, '2054-12-17');
+  assert.equal(index.withdrawal.date, nps.withdrawal.date);
+  assert.equal(index.withdrawal.rulesEffectiveFrom, '2024-07-23');
+
+  const earlier = await (await fetch(`${baseUrl}/blackrock/challenge/v1/returns:index`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ ...payload, asOf: '1990-06-01 00:00:00' })
+  })).json();
+  assert.deepEqual(earlier.withdrawal, { date: '2021-06-01', age: 60, rulesEffectiveFrom: '2019-04-01' });
+
+  const indexEntry = index.savingsByDates[1];
+  assert.equal(indexEntry.taxOnWithdrawal, 0);
+  assert.ok(Math.abs(indexEntry.postTaxValue - (indexEntry.amount + indexEntry.profits)) < 0.02);
+
+  const npsEntry = nps.savingsByDates[1];
+  const corpus = npsEntry.amount + npsEntry.profits;
+  assert.ok(npsEntry.taxOnWithdrawal > 0);
+  assert.ok(Math.abs(npsEntry.taxOnWithdrawal - corpus * 0.4 * 0.05 * 1.04) < 0.01);
+  assert.ok(npsEntry.postTaxRealValue < npsEntry.realValue);
+});
+
+test('POST /returns:index simulation is deterministic for a seed', async () => {
+  const request = () => fetch(`${baseUrl}/blackrock/challenge/v1/returns:index`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({
+      age: 29,
+      wage: 50000,
+      inflation: 5.5,
+      simulation: { volatility: 18, paths: 500, seed: 42, target: 1000 },
+      transactions: sampleTransactions(),
+      ...samplePeriods()
+    })
+  });
+
+  const first = await (await request()).json();
+  const second = await (await request()).json();
+
+  assert.deepEqual(first.savingsByDates, second.savingsByDates);
+  assert.deepEqual(first.simulation, { volatility: 0.18, paths: 500, seed: 42 });
+
+  const { nominal, real, probabilityOfTarget } = first.savingsByDates[1].simulation;
+  assert.ok(nominal.p10 < nominal.p50 && nominal.p50 < nominal.p90);
+  assert.ok(real.p50 < nominal.p50);
+  assert.ok(probabilityOfTarget > 0 && probabilityOfTarget < 1);
+});
+
+test('POST /returns:sensitivity returns a rate x inflation matrix per age and k window', async () => {
+  const res = await fetch(`${baseUrl}/blackrock/challenge/v1/returns:sensitivity`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({
+      grid: { rates: [7.11, 14.49], inflations: [5.5, 7], ages: [29, 45] },
+      transactions: sampleTransactions(),
+      ...samplePeriods()
+    })
+  });
+
+  assert.equal(res.status, 200);
+  const body = await res.json();
+
+  assert.deepEqual(body.grid.inflations, [0.055, 0.07]);
+  const window = body.savingsByDates[1];
+  assert.equal(window.amount, 145);
+  assert.equal(window.projections.length, 2);
+  assert.equal(window.projections[1].years, 15);
+
+  const [low, high] = window.projections[0].realValue;
+  assert.equal(low.length, 2);
+  assert.ok(low[0] > low[1]);
+  assert.ok(high[0] > low[0]);
+  assert.equal(window.projections[0].nominal[0], Math.round(145 * 1.0711 ** 31 * 100) / 100);
+});
+
+test('POST /returns:sensitivity caps the grid size', async () => {
+  const rates = Array.from({ length: 101 }, (_, i) => i / 1000);
+  const res = await fetch(`${baseUrl}/blackrock/challenge/v1/returns:sensitivity`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ grid: { rates, inflations: rates, ages: [30] }, transactions: [] })
+  });
+
+  assert.equal(res.status, 400);
+  const body = await res.json();
+  assert.match(body.error, /cells/);
+
+  const perWindow = Array.from({ length: 50 }, (_, i) => i / 1000);
+  const windows = await fetch(`${baseUrl}/blackrock/challenge/v1/returns:sensitivity`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({
+      grid: { rates: perWindow, inflations: perWindow, ages: [30] },
+      transactions: [],
+      k: [
+        { start: '2023-01-01 00:00:00', end: '2023-12-31 23:59:59', generate: 'monthly' }
+      ]
+    })
+  });
+
+  assert.equal(windows.status, 400);
+  assert.match((await windows.json()).error, /cannot exceed 10000 cells across k windows \(got 30000\)/);
+});
+
+test('returns routes build a year-by-year schedule with continued savings', async () => {
+  const request = (schedule) => fetch(`${baseUrl}/blackrock/challenge/v1/returns:nps`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({
+      age: 55,
+      wage: 100000,
+      inflation: 5,
+      taxRegime: 'old',
+      schedule,
+      transactions: sampleTransactions(),
+      ...samplePeriods()
+    })
+  });
+
+  // Year 1 starts at the latest transaction, 2023-12-17.
+  const lumpSums = [{ date: '2025-06-01 00:00:00', amount: 5000 }];
+  const oneOff = await (await request({ wageGrowth: 10, monthlySip: 1000, lumpSums })).json();
+  assert.deepEqual(oneOff.schedule.map((row) => row.contribution), [12000, 17000, 12000, 12000, 12000]);
+  assert.deepEqual(oneOff.savingsByDates[1].schedule.map((row) => row.contribution), [0, 0, 0, 0, 0]);
+
+  const beforeStart = await request({ lumpSums: [{ date: '2023-06-01 00:00:00', amount: 5000 }] });
+  assert.equal(beforeStart.status, 400);
+  assert.match((await beforeStart.json()).error, /schedule\.lumpSums\[0\]\.date must fall within the 5-year horizon starting at asOf/);
+
+  const res = await request({ continueRoundUps: true, wageGrowth: 10, monthlySip: 1000, savingsRate: 0 });
+  assert.equal(res.status, 200);
+  const body = await res.json();
+  const { schedule } = body.savingsByDates[1];
+
+  assert.equal(schedule.length, 5);
+  assert.deepEqual(schedule.map((row) => row.age), [56, 57, 58, 59, 60]);
+  assert.equal(schedule[1].wage, 1320000);
+  assert.equal(schedule[0].contribution, 145);
+  assert.equal(schedule[1].contribution, 159.5);
+  assert.equal(body.schedule[0].contribution, 12000);
+  assert.equal(body.schedule[0].closingBalance, 12000);
+
+  let balance = 145;
+  for (const row of schedule) {
+    balance += balance * 0.0711 + row.contribution;
+  }
+  assert.ok(Math.abs(schedule[4].closingBalance - balance) < 0.05);
+  assert.ok(schedule[4].realBalance < schedule[4].closingBalance);
+  assert.ok(schedule[0].taxBenefit > 0);
+});
+
+test('POST /returns:{instrument} serves registered and custom instruments', async () => {
+  const base = {
+    age: 29,
+    wage: 50000,
+    inflation: 5.5,
+    transactions: sampleTransactions(),
+    ...samplePeriods()
+  };
+
+  const ppfRes = await fetch(`${baseUrl}/blackrock/challenge/v1/returns:ppf`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify(base)
+  });
+  assert.equal(ppfRes.status, 200);
+  const ppf = await ppfRes.json();
+  assert.equal(ppf.instrument.lockInYears, 15);
+  assert.equal(ppf.savingsByDates[1].taxOnWithdrawal, 0);
+  assert.equal(ppf.savingsByDates[1].lockInMet, true);
+
+  const customRes = await fetch(`${baseUrl}/blackrock/challenge/v1/returns:custom`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ ...base, instrument: { rate: 9, lockInYears: 40, taxTreatment: 'slab' } })
+  });
+  assert.equal(customRes.status, 200);
+  const custom = await customRes.json();
+  assert.equal(custom.instrument.rate, 0.09);
+  assert.equal(custom.savingsByDates[1].lockInMet, false);
+
+  const unknownRes = await fetch(`${baseUrl}/blackrock/challenge/v1/returns:crypto`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify(base)
+  });
+  assert.equal(unknownRes.status, 404);
+});
+
+test('POST /returns:goal solves each lever against the current trajectory', async () => {
+  // One month apart, rate and inflation 0 and age 59 keep the arithmetic flat: 75 saved plus 75 a month for 12 months.
+  const res = await fetch(`${baseUrl}/blackrock/challenge/v1/returns:goal`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({
+      age: 59,
+      wage: 50000,
+      inflation: 0,
+      target: 2000,
+      instrument: { rate: 0, taxTreatment: 'slab' },
+      transactions: [
+        { timestamp: '2023-01-01 00:00:00', amount: 250, ceiling: 300 },
+        { timestamp: '2023-01-31 10:30:00', amount: 375 }
+      ]
+    })
+  });
+
+  assert.equal(res.status, 200);
+  const body = await res.json();
+  assert.deepEqual(body.trajectory, {
+    monthsObserved: 1,
+    transactionsPerMonth: 2,
+    monthlySaving: 75,
+    projectedValue: 975,
+    projectedRealValue: 975
+  });
+  assert.equal(body.gap, 1025);
+  assert.equal(body.onTrack, false);
+  assert.deepEqual(body.solutions.monthlySaving, { required: 160.42, additional: 85.42 });
+  assert.deepEqual(body.solutions.extra, { perTransaction: 42.71 });
+  assert.equal(body.solutions.rounding.multiple, 500);
+  assert.deepEqual(body.solutions.rounding.candidates.map((candidate) => candidate.projectedRealValue), [65, 325, 975, 4875]);
+
+  const npsRes = await fetch(`${baseUrl}/blackrock/challenge/v1/returns:goal`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({
+      age: 29,
+      wage: 50000,
+      inflation: 5.5,
+      target: 100,
+      solveFor: 'extra',
+      transactions: sampleTransactions()
+    })
+  });
+  const nps = await npsRes.json();
+  assert.equal(nps.instrument.id, 'nps');
+  assert.equal(nps.onTrack, true);
+  assert.deepEqual(nps.solutions, { extra: { perTransaction: 0 } });
+
+  const invalidRes = await fetch(`${baseUrl}/blackrock/challenge/v1/returns:goal`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ age: 29, wage: 50000, inflation: 5.5, target: 0, transactions: [] })
+  });
+  assert.equal(invalidRes.status, 400);
+  assert.equal((await invalidRes.json()).path, '/target');
+});
+
+test('drawdown runs from retirementAge to lifeExpectancy and finds the safe withdrawal', async () => {
+  const base = {
+    age: 55,
+    retirementAge: 58,
+    lifeExpectancy: 61,
+    wage: 50000,
+    inflation: 0,
+    transactions: sampleTransactions(),
+    k: [{ start: '2023-01-01 00:00:00', end: '2023-12-31 23:59:59' }]
+  };
+
+  // Flat growth and inflation: a 175 corpus pays 72 a year until it runs dry in the third year.
+  const res = await fetch(`${baseUrl}/blackrock/challenge/v1/returns:custom`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({
+      ...base,
+      instrument: { rate: 0, taxTreatment: 'slab' },
+      drawdown: { monthlyWithdrawal: 6 }
+    })
+  });
+  assert.equal(res.status, 200);
+  const body = await res.json();
+  assert.equal(body.withdrawal.age, 58);
+  assert.deepEqual(body.drawdown, { startAge: 58, lifeExpectancy: 61, years: 3, rate: 0 });
+
+  const { drawdown } = body.savingsByDates[0];
+  assert.equal(drawdown.maxSafeMonthlyWithdrawal, 4.86);
+  assert.equal(drawdown.exhaustedAge, 60);
+  assert.equal(drawdown.exhaustedYear, Number(body.withdrawal.date.slice(0, 4)) + 2);
+  assert.deepEqual(drawdown.rows.map((row) => [row.age, row.fromCorpus, row.shortfall, row.closingBalance]), [
+    [58, 72, 0, 103],
+    [59, 72, 0, 31],
+    [60, 31, 41, 0]
+  ]);
+
+  const [nps, index] = await Promise.all(['nps', 'index'].map(async (instrument) => {
+    const response = await fetch(`${baseUrl}/blackrock/challenge/v1/returns:${instrument}`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({ ...base, inflation: 5.5, lifeExpectancy: 80, drawdown: {} })
+    });
+    return (await response.json()).savingsByDates[0].drawdown;
+  }));
+
+  for (const result of [nps, index]) {
+    assert.equal(result.rows.length, 22);
+    assert.equal(result.monthlyWithdrawal, result.maxSafeMonthlyWithdrawal);
+    assert.equal(result.exhaustedAge, null);
+    assert.ok(result.rows.at(-1).closingBalance < result.rows.at(-1).withdrawal);
+  }
+  assert.ok(nps.rows[0].pension > 0);
+  assert.equal(index.rows[0].pension, 0);
+
+  const tooShort = await fetch(`${baseUrl}/blackrock/challenge/v1/returns:nps`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ ...base, lifeExpectancy: 58, drawdown: {} })
+  });
+  assert.equal(tooShort.status, 400);
+  assert.equal((await tooShort.json()).path, '/lifeExpectancy');
+});
+
+test('inflation and return curves compound year by year', async () => {
+  const base = {
+    age: 50,
+    wage: 50000,
+    transactions: sampleTransactions(),
+    k: [{ start: '2023-01-01 00:00:00', end: '2023-12-31 23:59:59' }]
+  };
+  const post = (body) => fetch(`${baseUrl}/blackrock/challenge/v1/returns:index`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ ...base, ...body })
+  });
+
+  const curved = await (await post({
+    inflation: [{ fromYear: 1, rate: 10 }, { fromYear: 4, rate: 5 }],
+    returnCurves: { index: [{ fromYear: 1, rate: 12 }, { fromYear: 6, rate: 8 }] },
+    schedule: { continueRoundUps: false }
+  })).json();
+
+  const entry = curved.savingsByDates[0];
+  const nominal = 175 * 1.12 ** 5 * 1.08 ** 5;
+  assert.ok(Math.abs(entry.profits - (nominal - 175)) < 0.01);
+  assert.ok(Math.abs(entry.realValue - nominal / (1.1 ** 3 * 1.05 ** 7)) < 0.01);
+  assert.ok(Math.abs(entry.schedule[2].realBalance - (175 * 1.12 ** 3) / 1.1 ** 3) < 0.01);
+  assert.deepEqual(curved.curves.inflation, [{ fromYear: 1, rate: 0.1 }, { fromYear: 4, rate: 0.05 }]);
+
+  // A one-segment curve is the scalar rate.
+  const scalar = await (await post({ inflation: 5.5 })).json();
+  const flat = await (await post({ inflation: [{ fromYear: 1, rate: 5.5 }] })).json();
+  assert.equal(scalar.curves, undefined);
+  assert.deepEqual(flat.savingsByDates, scalar.savingsByDates);
+
+  const invalid = await post({ inflation: [{ fromYear: 2, rate: 5 }] });
+  assert.equal(invalid.status, 400);
+  const error = await invalid.json();
+  assert.equal(error.code, 'CONSTRAINT_VIOLATION');
+  assert.equal(error.path, '/inflation/0/fromYear');
+});
+
+test('dated compounding accrues each remanent from its own timestamp and reports XIRR', async () => {
+  const base = {
+    wage: 50000,
+    inflation: 0,
+    retirementAge: 31,
+    compounding: 'dated',
+    asOf: '2024-01-01 00:00:00',
+    dateOfBirth: '1994-01-01',
+    timezone: 'UTC',
+    instrument: { rate: 10, taxTreatment: 'slab' },
+    transactions: [
+      { timestamp: '2023-01-01 00:00:00', amount: 250 },
+      { timestamp: '2024-01-01 00:00:00', amount: 375 }
+    ],
+    k: [{ start: '2023-01-01 00:00:00', end: '2024-12-31 23:59:59' }]
+  };
+  const post = (body) => fetch(`${baseUrl}/blackrock/challenge/v1/returns:custom`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ ...base, ...body })
+  });
+
+  // 50 saved 365 days before asOf and 25 on asOf, both accruing to the 31st birthday in 2025 (366 days later).
+  const annual = await (await post({})).json();
+  assert.deepEqual(annual.compounding, {
+    mode: 'dated',
+    frequency: 'annual',
+    asOf: '2024-01-01 00:00:00',
+    dateOfBirth: '1994-01-01',
+    age: 30,
+    years: 1
+  });
+  assert.equal(annual.withdrawal.date, '2025-01-01');
+  const [window] = annual.savingsByDates;
+  const expected = 50 * 1.1 ** (731 / 365) + 25 * 1.1 ** (366 / 365);
+  assert.ok(Math.abs(window.amount + window.profits - expected) < 0.01);
+  assert.equal(window.xirr, 0.1);
+
+  const monthly = await (await post({ compoundingFrequency: 'monthly' })).json();
+  assert.equal(monthly.savingsByDates[0].xirr, Math.round(((1 + 0.1 / 12) ** 12 - 1) * 1e6) / 1e6);
+
+  const mismatch = await post({ age: 29 });
+  assert.equal(mismatch.status, 400);
+  assert.equal((await mismatch.json()).path, '/age');
+
+  const missing = await post({ asOf: undefined });
+  assert.equal((await missing.json()).code, 'REQUIRED');
+});
+
+test('POST /returns:backtest buys units at the next NAV and values them at the last one', async () => {
+  const nav = [
+    { date: '2023-01-02', nav: 100 },
+    { date: '2023-03-01', nav: 110 },
+    { date: '2023-10-13', nav: 120 },
+    { date: '2023-12-29', nav: 125 }
+  ];
+  const base = {
+    transactions: [
+      { timestamp: '2023-02-28 15:49:00', amount: 375 },
+      { timestamp: '2023-10-12 20:15:00', amount: 250 },
+      { timestamp: '2024-01-05 10:00:00', amount: 480 }
+    ],
+    k: [{ start: '2023-01-01 00:00:00', end: '2024-12-31 23:59:59' }]
+  };
+  const post = (body) => fetch(`${baseUrl}/blackrock/challenge/v1/returns:backtest`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ ...base, ...body })
+  });
+
+  const res = await post({ nav });
+  assert.equal(res.status, 200);
+  const body = await res.json();
+  assert.deepEqual(body.nav, { from: '2023-01-02', to: '2023-12-29', points: 4, lastNav: 125 });
+
+  // 25 buys at 110 on 2023-03-01 and 50 at 120 on 2023-10-13; the 2024 remanent has no NAV yet.
+  const [window] = body.savingsByDates;
+  const units = 25 / 110 + 50 / 120;
+  assert.equal(window.units, Math.round(units * 10000) / 10000);
+  assert.equal(window.invested, 75);
+  assert.equal(window.currentValue, Math.round(units * 125 * 100) / 100);
+  assert.equal(window.gain, Math.round((units * 125 - 75) * 100) / 100);
+  assert.equal(window.uninvested, 20);
+  assert.ok(window.xirr > window.absoluteReturn);
+
+  const csv = await (await post({ nav: `Date,NAV\n${nav.map((point) => `${point.date},${point.nav}`).join('\n')}\n` })).json();
+  assert.deepEqual(csv.savingsByDates, body.savingsByDates);
+
+  const invalid = await post({ nav: [nav[1], nav[0]] });
+  assert.equal(invalid.status, 400);
+  const error = await invalid.json();
+  assert.equal(error.code, 'CONSTRAINT_VIOLATION');
+  assert.equal(error.path, '/nav/1/date');
+});
+
+test('POST /returns:compare ranks instruments by post-tax real value', async () => {
+  const res = await fetch(`${baseUrl}/blackrock/challenge/v1/returns:compare`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({
+      age: 29,
+      wage: 50000,
+      inflation: 5.5,
+      instruments: ['nps', 'ppf', 'index', { id: 'savings', rate: 3, taxTreatment: 'slab' }],
+      transactions: sampleTransactions(),
+      ...samplePeriods()
+    })
+  });
+
+  assert.equal(res.status, 200);
+  const body = await res.json();
+
+  assert.deepEqual(body.instruments.map((instrument) => instrument.id), ['nps', 'ppf', 'index', 'savings']);
+  const { ranking } = body.savingsByDates[1];
+  assert.deepEqual(ranking.map((row) => row.rank), [1, 2, 3, 4]);
+  assert.equal(ranking[0].instrument, 'index');
+  assert.equal(ranking[3].instrument, 'savings');
+  for (let i = 1; i < ranking.length; i += 1) {
+    assert.ok(ranking[i - 1].postTaxRealValue >= ranking[i].postTaxRealValue);
+  }
+});
+
+test('POST /returns:nps applies the lifecycle glide path and splits the corpus at retirement', async () => {
+  const res = await fetch(`${baseUrl}/blackrock/challenge/v1/returns:nps`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({
+      age: 29,
+      wage: 50000,
+      inflation: 5.5,
+      allocation: { mode: 'auto', lifecycle: 'aggressive' },
+      annuity: { share: 40, rate: 6.5 },
+      transactions: sampleTransactions(),
+      ...samplePeriods()
+    })
+  });
+
+  assert.equal(res.status, 200);
+  const body = await res.json();
+  const { glidePath } = body.allocation;
+
+  assert.equal(glidePath.length, 31);
+  assert.equal(glidePath[0].equity, 0.75);
+  assert.equal(glidePath.find((row) => row.age === 45).equity, 0.45);
+  assert.equal(glidePath[30].equity, 0.15);
+
+  const entry = body.savingsByDates[1];
+  const growth = glidePath.reduce((factor, row) => factor * (1 + row.rate), 1);
+  assert.ok(Math.abs(entry.amount + entry.profits - 145 * growth) < 0.5);
+
+  const corpus = entry.amount + entry.profits;
+  assert.ok(Math.abs(entry.annuity.annuityPurchase - corpus * 0.4) < 0.02);
+  assert.ok(Math.abs(entry.annuity.lumpSum - corpus * 0.6) < 0.02);
+  assert.ok(Math.abs(entry.annuity.monthlyPension - (corpus * 0.4 * 0.065) / 12) < 0.02);
+
+  const larger = await (await fetch(`${baseUrl}/blackrock/challenge/v1/returns:nps`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({
+      age: 29,
+      wage: 50000,
+      inflation: 5.5,
+      taxRegime: 'new',
+      annuity: { share: 60 },
+      transactions: sampleTransactions(),
+      ...samplePeriods()
+    })
+  })).json();
+  const largerEntry = larger.savingsByDates[1];
+  const largerCorpus = largerEntry.amount + largerEntry.profits;
+  assert.ok(Math.abs(largerEntry.annuity.lumpSum - largerCorpus * 0.4) < 0.02);
+  // Only the 40% lump sum is exempt, so 60% of the corpus is taxed at 5% plus cess.
+  assert.ok(Math.abs(largerEntry.taxOnWithdrawal - largerCorpus * 0.6 * 0.05 * 1.04) < 0.01);
+});
+
+test('POST /returns:nps caps active equity and validates the mix', async () => {
+  const request = (allocation) => fetch(`${baseUrl}/blackrock/challenge/v1/returns:nps`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({
+      age: 52,
+      wage: 50000,
+      inflation: 5.5,
+      allocation,
+      transactions: sampleTransactions(),
+      ...samplePeriods()
+    })
+  });
+
+  const capped = await (await request({ mode: 'active', equity: 80, corporate: 10, government: 10 })).json();
+  assert.equal(capped.allocation.glidePath[0].equity, 0.7);
+  assert.equal(capped.allocation.glidePath[0].government, 0.2);
+
+  const invalid = await request({ mode: 'active', equity: 50, corporate: 10, government: 10 });
+  assert.equal(invalid.status, 400);
+
+  const percents = await request({ mode: 'active', equity: 50, corporate: 49, government: 1 });
+  assert.equal(percents.status, 200);
+  const percentMix = (await percents.json()).allocation.glidePath[0];
+  assert.equal(percentMix.corporate, 0.49);
+  assert.equal(percentMix.government, 0.01);
+
+  const fractions = await request({ mode: 'active', equity: 0.5, corporate: 0.49, government: 0.01 });
+  assert.deepEqual((await fractions.json()).allocation.glidePath[0], percentMix);
+});
+
+test('request timezone governs timestamps, ISO 8601 offsets and k windows across DST', async () => {
+  const res = await fetch(`${baseUrl}/blackrock/challenge/v1/transactions:filter`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({
+      timezone: 'America/New_York',
+      transactions: [
+        { timestamp: '2023-03-12 01:30:00', amount: 250 },
+        { timestamp: '2023-03-12T07:30:00Z', amount: 375 },
+        { timestamp: '2023-03-12T04:00:00.000-04:00', amount: 620 }
+      ],
+      k: [
+        { start: '2023-03-12 00:00:00', end: '2023-03-12 02:59:59' },
+        { start: '2023-03-12T05:00:00Z', end: '2023-03-12 23:59:59' }
+      ]
+    })
+  });
+
+  assert.equal(res.status, 200);
+  const body = await res.json();
+
+  assert.deepEqual(body.valid.map((tx) => tx.timestamp), [
+    '2023-03-12 01:30:00',
+    '2023-03-12 03:30:00',
+    '2023-03-12 04:00:00'
+  ]);
+  assert.equal(body.savingsByDates[0].amount, 50);
+  assert.equal(body.savingsByDates[1].start, '2023-03-12 00:00:00');
+  assert.equal(body.savingsByDates[1].amount, 155);
+});
+
+test('unknown timezones are rejected', async () => {
+  const res = await fetch(`${baseUrl}/blackrock/challenge/v1/transactions:parse`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ timezone: 'Mars/Olympus', expenses: [] })
+  });
+
+  assert.equal(res.status, 400);
+  const body = await res.json();
+  assert.match(body.error, /timezone/);
+});
+
+test('POST /transactions:filter streams NDJSON in and compressed NDJSON out', async () => {
+  const sorted = sampleTransactions().sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+  const lines = [
+    JSON.stringify(samplePeriods()),
+    ...sorted.slice(0, 3).map((tx) => JSON.stringify(tx)),
+    '{"timestamp": broken',
+    JSON.stringify({ timestamp: '2023-10-12 20:15:00', amount: 10 }),
+    JSON.stringify(sorted[3]),
+    JSON.stringify({ timestamp: '2023-03-01 10:00:00', amount: 10 })
+  ];
+
+  const res = await fetch(`${baseUrl}/blackrock/challenge/v1/transactions:filter`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/x-ndjson', 'accept-encoding': 'gzip' },
+    body: lines.join('\n')
+  });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get('content-encoding'), 'gzip');
+  assert.match(res.headers.get('content-type'), /application\/x-ndjson/);
+
+  const records = (await res.text()).trim().split('\n').map((line) => JSON.parse(line));
+  const byType = (type) => records.filter((record) => record.type === type);
+
+  assert.deepEqual(byType('valid').map((record) => record.timestamp), sorted.map((tx) => tx.timestamp));
+  assert.deepEqual(byType('invalid').map((record) => record.code), ['INVALID_TRANSACTION', 'DUPLICATE_TIMESTAMP', 'OUT_OF_ORDER']);
+  assert.deepEqual(byType('savingsByDates').map((record) => record.amount), [75, 145]);
+  assert.equal(records.at(-1).type, 'totals');
+  assert.equal(records.at(-1).transactionsTotalRemanent, 145);
+});
+
+test('POST /transactions:filter answers NDJSON rows before the body ends', async () => {
+  const req = request(`${baseUrl}/blackrock/challenge/v1/transactions:filter`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/x-ndjson' }
+  });
+  req.write(`${JSON.stringify({ q: [], p: [], k: [{ start: '2023-01-01 00:00:00', end: '2023-12-31 23:59:59' }] })}\n`);
+  for (let second = 0; second < 2000; second += 1) {
+    const timestamp = new Date(Date.UTC(2023, 0, 1) + second * 1000).toISOString();
+    req.write(`${JSON.stringify({ timestamp, amount: 250 })}\n`);
+  }
+
+  // A buffering server would only answer after end(), so the response must arrive first.
+  const [res] = await Promise.race([
+    once(req, 'response'),
+    new Promise((_, reject) => setTimeout(() => reject(new Error('no response before the body ended')), 5000))
+  ]);
+  assert.equal(res.statusCode, 200);
+
+  req.end();
+  let text = '';
+  res.setEncoding('utf8');
+  for await (const chunk of res) text += chunk;
+
+  const records = text.trim().split('\n').map((line) => JSON.parse(line));
+  assert.equal(records.filter((record) => record.type === 'valid').length, 2000);
+  assert.equal(records.at(-2).amount, 100000);
+  assert.equal(records.at(-1).transactionsTotalRemanent, 100000);
+});
+
+test('NDJSON filtering matches the JSON route for recurring periods and overlapping windows', async () => {
+  const header = {
+    q: [
+      { fixed: 0, start: '2023-01-01 00:00:00', rrule: 'FREQ=MONTHLY;BYMONTHDAY=1', duration: 'P1D' },
+      { fixed: 5, start: '2023-02-01 00:00:00', rrule: 'FREQ=YEARLY;BYMONTH=2;BYMONTHDAY=30', duration: 'P1D' }
+    ],
+    p: [{ extra: 20, start: '2023-01-01 00:00:00', rrule: 'FREQ=WEEKLY;BYDAY=SA,SU', duration: 'P1D' }],
+    k: [
+      { start: '2023-01-01 00:00:00', end: '2023-01-31 23:59:59' },
+      { start: '2023-01-15 00:00:00', end: '2023-02-15 23:59:59' },
+      { start: '2023-06-01 00:00:00', end: '2023-06-30 23:59:59' }
+    ]
+  };
+  const transactions = Array.from({ length: 45 }, (_, day) => ({
+    timestamp: new Date(Date.UTC(2023, 0, 1, 6) + day * 86_400_000).toISOString(),
+    amount: 101 + day
+  }));
+
+  const json = await (await fetch(`${baseUrl}/blackrock/challenge/v1/transactions:filter`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ ...header, transactions })
+  })).json();
+  const records = (await (await fetch(`${baseUrl}/blackrock/challenge/v1/transactions:filter`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/x-ndjson' },
+    body: [header, ...transactions].map((record) => JSON.stringify(record)).join('\n')
+  })).text()).trim().split('\n').map((line) => JSON.parse(line));
+
+  const strip = ({ type, ...record }) => record;
+  assert.deepEqual(records.filter((record) => record.type === 'valid').map(strip), json.valid);
+  assert.deepEqual(records.filter((record) => record.type === 'savingsByDates').map(strip), json.savingsByDates);
+  assert.equal(records.at(-1).transactionsTotalRemanent, json.transactionsTotalRemanent);
+});
+
+test('POST /transactions:filter rejects a duplicate tolerance on NDJSON streams', async () => {
+  const res = await fetch(`${baseUrl}/blackrock/challenge/v1/transactions:filter`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/x-ndjson' },
+    body: `${JSON.stringify({ q: [], p: [], k: [], duplicatePolicy: { toleranceSeconds: 60 } })}\n`
+  });
+
+  assert.equal(res.status, 400);
+  const body = await res.json();
+  assert.equal(body.path, '/duplicatePolicy/toleranceSeconds');
+});
+
+test('POST /transactions:filter rejects an NDJSON body without a header record', async () => {
+  const res = await fetch(`${baseUrl}/blackrock/challenge/v1/transactions:filter`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/x-ndjson' },
+    body: '[1, 2]\n'
+  });
+
+  assert.equal(res.status, 400);
+  const body = await res.json();
+  assert.match(body.error, /header/);
+});
+
+test('POST /transactions:filter measures NDJSON lines in UTF-8 bytes', async () => {
+  // 400k three-byte characters stay under the limit in string length but not in bytes.
+  const note = '\u20ac'.repeat(400_000);
+  const res = await fetch(`${baseUrl}/blackrock/challenge/v1/transactions:filter`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/x-ndjson' },
+    body: `{"q":[],"p":[],"k":[]}\n{"date":"2023-02-28 15:49:20","amount":250,"note":"${note}"}\n`
+  });
+
+  assert.equal(res.status, 413);
+  const body = await res.json();
+  assert.match(body.error, /exceeds 1048576 bytes/);
+});
+
+test('period validation reports every problem with a code, JSON pointer and value', async () => {
+  const res = await fetch(`${baseUrl}/blackrock/challenge/v1/transactions:filter`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({
+      transactions: sampleTransactions(),
+      q: [
+        { fixed: 0, start: '2023-07-31 00:00:00', end: '2023-07-01 00:00:00' },
+        { fixed: 'ten', start: '2023-07-01 00:00:00', rrule: 'FREQ=HOURLY', duration: 'P1D' }
+      ],
+      p: [{ extra: 25, start: 'yesterday', end: '2023-12-31 19:59:59' }],
+      k: [{ start: '2023-01-01 00:00:00', end: '2023-12-31 23:59:59', generate: 'daily' }]
+    })
+  });
+
+  assert.equal(res.status, 400);
+  const body = await res.json();
+  assert.equal(body.code, 'VALIDATION_FAILED');
+  assert.equal(body.error, 'periods failed validation with 5 errors');
+  assert.deepEqual(body.errors.map(({ code, path }) => [code, path]), [
+    ['INVALID_RANGE', '/q/0'],
+    ['INVALID_NUMBER', '/q/1/fixed'],
+    ['INVALID_RRULE', '/q/1/rrule'],
+    ['INVALID_TIMESTAMP', '/p/0/start'],
+    ['INVALID_ENUM', '/k/0/generate']
+  ]);
+  assert.equal(body.errors[3].value, 'yesterday');
+  assert.match(body.errors[2].message, /^q\[1\]\.rrule FREQ must be one of/);
+});
+
+test('single-field errors and unknown routes carry stable codes', async () => {
+  const res = await fetch(`${baseUrl}/blackrock/challenge/v1/returns:nps`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ age: 29, wage: 50000, inflation: 5.5, transactions: [], simulation: { volatility: 0.1, paths: 0 } })
+  });
+
+  assert.equal(res.status, 400);
+  assert.deepEqual(await res.json(), {
+    error: 'simulation.paths must be an integer between 1 and 100000',
+    code: 'OUT_OF_RANGE',
+    path: '/simulation/paths',
+    value: 0
+  });
+
+  const missing = await fetch(`${baseUrl}/blackrock/challenge/v1/nowhere`, { method: 'POST', body: '{}' });
+  assert.equal(missing.status, 404);
+  assert.equal((await missing.json()).code, 'ROUTE_NOT_FOUND');
+
+  const malformed = await fetch(`${baseUrl}/blackrock/challenge/v1/transactions:parse`, { method: 'POST', body: '{' });
+  assert.equal((await malformed.json()).code, 'INVALID_JSON');
+});
+
+test('GET /openapi.json describes every route and the error codes', async () => {
+  const res = await fetch(`${baseUrl}/openapi.json`);
+  assert.equal(res.status, 200);
+  const document = await res.json();
+
+  assert.match(document.openapi, /^3\./);
+  assert.ok(document.paths['/blackrock/challenge/v1/transactions:filter'].post.requestBody.content['application/x-ndjson']);
+  assert.ok(document.paths['/blackrock/challenge/v1/users/{id}/periods/{entryId}'].patch);
+  assert.ok(document.paths['/blackrock/challenge/v1/returns:{instrument}'].parameters[0].schema.enum.includes('custom'));
+  assert.ok(document.components.schemas.Error.properties.code.enum.includes('VALIDATION_FAILED'));
+  assert.deepEqual(document.components.schemas.KPeriod.properties.generate.enum, [
+    'monthly', 'quarterly', 'fiscalYear', 'isoWeek', 'rolling'
+  ]);
+});
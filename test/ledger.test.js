@@ -0,0 +1,188 @@
+/*
+Test type: Integration/API tests
+Validation to be executed: Per-user ledger CRUD routes, on-disk persistence, duplicate-timestamp rejection and stored-data returns
+Command with necessary arguments for execution: npm test
+*/
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'node:os';
+import path from 'node:path';
+import { once } from 'node:events';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { createServer } from '../src/app.js';
+
+const dataDir = await mkdtemp(path.join(os.tmpdir(), 'superannuation-ledger-'));
+const server = createServer({ dataDir });
+
+let baseUrl = '';
+
+function request(method, route, body) {
+  return fetch(`${baseUrl}/blackrock/challenge/v1${route}`, {
+    method,
+    headers: body === undefined ? {} : { 'content-type': 'application/json' },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+}
+
+test.before(async () => {
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(async () => {
+  server.close();
+  await once(server, 'close');
+  await rm(dataDir, { recursive: true, force: true });
+});
+
+test('users can be created, listed, updated and deleted', async () => {
+  const created = await request('POST', '/users', { id: 'asha', name: 'Asha', age: 29, wage: 50000, inflation: 5.5 });
+  assert.equal(created.status, 201);
+  const user = await created.json();
+  assert.equal(user.id, 'asha');
+  assert.deepEqual(user.counts, { transactions: 0, q: 0, p: 0, k: 0 });
+
+  const conflict = await request('POST', '/users', { id: 'asha' });
+  assert.equal(conflict.status, 409);
+
+  const updated = await request('PATCH', '/users/asha', { age: 30, name: null });
+  assert.equal(updated.status, 200);
+  const updatedBody = await updated.json();
+  assert.equal(updatedBody.age, 30);
+  assert.equal(updatedBody.name, undefined);
+
+  const invalid = await request('PATCH', '/users/asha', { age: 300 });
+  assert.equal(invalid.status, 400);
+
+  const list = await (await request('GET', '/users')).json();
+  assert.deepEqual(list.users.map((entry) => entry.id), ['asha']);
+
+  assert.equal((await request('DELETE', '/users/asha')).status, 204);
+  assert.equal((await request('GET', '/users/asha')).status, 404);
+});
+
+test('stored transactions reject duplicate timestamps like the validator', async () => {
+  await request('POST', '/users', { id: 'ravi', age: 29, wage: 50000, inflation: 5.5 });
+
+  const added = await request('POST', '/users/ravi/transactions', {
+    transactions: [
+      { timestamp: '2023-10-12 20:15:00', amount: 250, merchant: 'Cafe' },
+      { timestamp: '2023-02-28 15:49:00', amount: 375 }
+    ]
+  });
+  assert.equal(added.status, 201);
+  const { transactions } = await added.json();
+  assert.deepEqual(transactions[0], { id: 'tx-1', timestamp: '2023-10-12 20:15:00', amount: 250, merchant: 'Cafe' });
+
+  const duplicate = await request('POST', '/users/ravi/transactions', {
+    transactions: [{ timestamp: '2023-10-12T14:45:00Z', amount: 90 }]
+  });
+  assert.equal(duplicate.status, 409);
+  const duplicateBody = await duplicate.json();
+  assert.equal(duplicateBody.details.invalid[0].code, 'DUPLICATE_TIMESTAMP');
+  assert.match(duplicateBody.details.invalid[0].message, /stored transaction tx-1/);
+
+  const batchDuplicate = await request('POST', '/users/ravi/transactions', {
+    transactions: [
+      { timestamp: '2023-05-01 10:00:00', amount: 10 },
+      { timestamp: '2023-05-01 10:00:00', amount: 20 }
+    ]
+  });
+  assert.equal(batchDuplicate.status, 409);
+
+  const patched = await request('PATCH', '/users/ravi/transactions/tx-2', { amount: 380 });
+  assert.equal(patched.status, 200);
+  assert.equal((await patched.json()).amount, 380);
+
+  const clash = await request('PATCH', '/users/ravi/transactions/tx-2', { timestamp: '2023-10-12 20:15:00' });
+  assert.equal(clash.status, 409);
+
+  const list = await (await request('GET', '/users/ravi/transactions')).json();
+  assert.equal(list.transactions.length, 2);
+
+  assert.equal((await request('DELETE', '/users/ravi/transactions/tx-1')).status, 204);
+  assert.equal((await request('GET', '/users/ravi/transactions/tx-1')).status, 404);
+
+  const timezoneChange = await request('PATCH', '/users/ravi', { timezone: 'UTC' });
+  assert.equal(timezoneChange.status, 409);
+
+  const roundingChange = await request('PATCH', '/users/ravi', { rounding: { multiple: 500 } });
+  assert.equal(roundingChange.status, 409);
+  assert.equal((await roundingChange.json()).path, '/rounding');
+  assert.equal((await request('PATCH', '/users/ravi', { age: 31 })).status, 200);
+});
+
+test('GET /users/{id}/returns/{instrument} projects stored transactions and periods', async () => {
+  await request('POST', '/users', { id: 'meera', age: 29, wage: 50000, inflation: 5.5 });
+  await request('POST', '/users/meera/transactions', {
+    transactions: [
+      { timestamp: '2023-10-12 20:15:00', amount: 250 },
+      { timestamp: '2023-02-28 15:49:00', amount: 375 },
+      { timestamp: '2023-07-01 21:59:00', amount: 620 },
+      { timestamp: '2023-12-17 08:09:00', amount: 480 }
+    ]
+  });
+
+  const periods = await request('POST', '/users/meera/periods', {
+    q: [{ fixed: 0, start: '2023-07-01 00:00:00', end: '2023-07-31 23:59:59' }],
+    p: [{ extra: 25, start: '2023-10-01 08:00:00', end: '2023-12-31 19:59:59' }],
+    k: [{ start: '2023-01-01 00:00:00', end: '2023-12-31 23:59:59' }]
+  });
+  assert.equal(periods.status, 201);
+  const stored = await periods.json();
+  assert.deepEqual(stored.k.map((period) => period.id), ['k-7']);
+
+  const badPeriod = await request('POST', '/users/meera/periods', { k: [{ start: '2023-12-31 00:00:00', end: '2023-01-01 00:00:00' }] });
+  assert.equal(badPeriod.status, 400);
+
+  const res = await request('GET', '/users/meera/returns/index');
+  assert.equal(res.status, 200);
+  const body = await res.json();
+  assert.equal(body.transactionsTotalAmount, 1725);
+  assert.equal(body.savingsByDates[0].amount, 145);
+
+  const widened = await request('PATCH', `/users/meera/periods/${stored.q[0].id}`, { fixed: 10 });
+  assert.equal(widened.status, 200);
+
+  const override = await (await request('GET', '/users/meera/returns/index?age=40')).json();
+  assert.equal(override.savingsByDates[0].amount, 155);
+  assert.equal(Number(body.withdrawal.date.slice(0, 4)) - Number(override.withdrawal.date.slice(0, 4)), 11);
+
+  assert.equal((await request('GET', '/users/meera/returns/unknown')).status, 404);
+});
+
+test('ledger data persists across server instances', async () => {
+  await request('POST', '/users', { id: 'kiran', wage: 40000 });
+  await request('POST', '/users/kiran/transactions', { transactions: [{ timestamp: '2024-01-05 09:00:00', amount: 99 }] });
+
+  const second = createServer({ dataDir });
+  second.listen(0, '127.0.0.1');
+  await once(second, 'listening');
+
+  try {
+    const res = await fetch(`http://127.0.0.1:${second.address().port}/blackrock/challenge/v1/users/kiran/transactions`);
+    const body = await res.json();
+    assert.deepEqual(body.transactions, [{ id: 'tx-1', timestamp: '2024-01-05 09:00:00', amount: 99 }]);
+  } finally {
+    second.close();
+    await once(second, 'close');
+  }
+});
+
+test('GET /users lists unreadable user files without failing the rest', async () => {
+  await request('POST', '/users', { id: 'meera', age: 40 });
+  const broken = path.join(dataDir, 'users', 'broken.json');
+  await writeFile(broken, '{"id": "broken", "profile": ');
+
+  try {
+    const res = await request('GET', '/users');
+    assert.equal(res.status, 200);
+    const body = await res.json();
+    assert.ok(body.users.some((user) => user.id === 'meera'));
+    assert.deepEqual(body.unreadable.map((entry) => entry.id), ['broken']);
+  } finally {
+    await rm(broken);
+  }
+});
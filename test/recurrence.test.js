@@ -0,0 +1,131 @@
+/*
+Test type: Unit tests
+Validation to be executed: RFC 5545-style rrule parsing, ISO 8601 durations and lazy occurrence expansion across months and DST changes
+Command with necessary arguments for execution: npm test
+*/
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseRecurrenceRule, parseDuration, expandRecurrence } from '../src/recurrence.js';
+import { parseTimestampToEpochSeconds, formatEpochSecondsToTimestamp } from '../src/time.js';
+
+function expand(rrule, start, duration, horizon, timeZone = 'Asia/Kolkata', from = start) {
+  const rule = parseRecurrenceRule(rrule, 'rrule', timeZone);
+  const occurrences = expandRecurrence(rule, {
+    start: parseTimestampToEpochSeconds(start, 'start', timeZone),
+    durationSeconds: parseDuration(duration),
+    timeZone,
+    horizon: parseTimestampToEpochSeconds(horizon, 'horizon', timeZone),
+    from: parseTimestampToEpochSeconds(from, 'from', timeZone)
+  });
+
+  return [...occurrences].map(({ start: from, end }) => [
+    formatEpochSecondsToTimestamp(from, timeZone),
+    formatEpochSecondsToTimestamp(end, timeZone)
+  ]);
+}
+
+test('weekly BYDAY rules yield each weekend day up to the horizon', () => {
+  const weekends = expand('FREQ=WEEKLY;BYDAY=SA,SU', '2023-10-01 00:00:00', 'P1D', '2023-10-15 12:00:00');
+
+  assert.deepEqual(weekends, [
+    ['2023-10-01 00:00:00', '2023-10-01 23:59:59'],
+    ['2023-10-07 00:00:00', '2023-10-07 23:59:59'],
+    ['2023-10-08 00:00:00', '2023-10-08 23:59:59'],
+    ['2023-10-14 00:00:00', '2023-10-14 23:59:59'],
+    ['2023-10-15 00:00:00', '2023-10-15 23:59:59']
+  ]);
+});
+
+test('monthly rules handle negative month days, ordinals, COUNT and UNTIL', () => {
+  const lastDay = expand('FREQ=MONTHLY;BYMONTHDAY=-1;COUNT=3', '2024-01-31 00:00:00', 'P1D', '2024-12-31 00:00:00');
+  assert.deepEqual(lastDay.map(([start]) => start.slice(0, 10)), ['2024-01-31', '2024-02-29', '2024-03-31']);
+
+  const lastFriday = expand(
+    'FREQ=MONTHLY;BYDAY=-1FR;UNTIL=20240430',
+    '2024-01-01 18:00:00',
+    'PT6H',
+    '2024-12-31 00:00:00'
+  );
+  assert.deepEqual(lastFriday, [
+    ['2024-01-26 18:00:00', '2024-01-26 23:59:59'],
+    ['2024-02-23 18:00:00', '2024-02-23 23:59:59'],
+    ['2024-03-29 18:00:00', '2024-03-29 23:59:59'],
+    ['2024-04-26 18:00:00', '2024-04-26 23:59:59']
+  ]);
+
+  const rentDay = expand('FREQ=MONTHLY;INTERVAL=2', '2024-01-31 09:00:00', 'PT1H', '2024-08-01 00:00:00');
+  assert.deepEqual(rentDay.map(([start]) => start.slice(0, 10)), ['2024-01-31', '2024-03-31', '2024-05-31', '2024-07-31']);
+});
+
+test('daily occurrences keep their wall-clock time across a DST change', () => {
+  const mornings = expand('FREQ=DAILY', '2024-03-09 09:00:00', 'PT1H', '2024-03-11 12:00:00', 'America/New_York');
+
+  assert.deepEqual(mornings.map(([start]) => start), [
+    '2024-03-09 09:00:00',
+    '2024-03-10 09:00:00',
+    '2024-03-11 09:00:00'
+  ]);
+});
+
+test('rules without COUNT skip ahead to occurrences that reach the first transaction', () => {
+  const from = '2023-10-10 12:00:00';
+  const horizon = '2023-10-16 00:00:00';
+  const expandFrom = (rrule, start, duration) => {
+    const occurrences = expand(rrule, start, duration, horizon, 'Asia/Kolkata', from);
+    // Only the step before the first transaction may be walked on top of the ones that reach it.
+    assert.ok(occurrences.length <= 4);
+    return occurrences.filter(([, end]) => end >= from);
+  };
+
+  assert.deepEqual(expandFrom('FREQ=DAILY;INTERVAL=3', '1900-01-01 09:00:00', 'PT4H'), [
+    ['2023-10-10 09:00:00', '2023-10-10 12:59:59'],
+    ['2023-10-13 09:00:00', '2023-10-13 12:59:59']
+  ]);
+  assert.deepEqual(expandFrom('FREQ=WEEKLY;BYDAY=SA', '1900-01-06 00:00:00', 'P5D'), [
+    ['2023-10-07 00:00:00', '2023-10-11 23:59:59'],
+    ['2023-10-14 00:00:00', '2023-10-18 23:59:59']
+  ]);
+  assert.deepEqual(expandFrom('FREQ=MONTHLY;BYMONTHDAY=-1', '1900-01-31 00:00:00', 'P15D'), [
+    ['2023-09-30 00:00:00', '2023-10-14 23:59:59']
+  ]);
+  assert.deepEqual(expandFrom('FREQ=YEARLY', '1900-10-01 00:00:00', 'P10D'), [
+    ['2023-10-01 00:00:00', '2023-10-10 23:59:59']
+  ]);
+});
+
+test('open-ended expansion marks empty steps instead of scanning ahead', () => {
+  const timeZone = 'Asia/Kolkata';
+  const take = (rrule, start, limit) => {
+    const occurrences = expandRecurrence(parseRecurrenceRule(rrule, 'rrule', timeZone), {
+      start: parseTimestampToEpochSeconds(start, 'start', timeZone),
+      durationSeconds: parseDuration('PT1H'),
+      timeZone
+    });
+    const taken = [];
+    for (const occurrence of occurrences) {
+      taken.push(occurrence.end === null ? null : formatEpochSecondsToTimestamp(occurrence.start, timeZone));
+      if (taken.length === limit) break;
+    }
+    return taken;
+  };
+
+  assert.deepEqual(take('FREQ=WEEKLY;BYDAY=SA', '2023-10-07 09:00:00', 3), [
+    '2023-10-07 09:00:00',
+    '2023-10-14 09:00:00',
+    '2023-10-21 09:00:00'
+  ]);
+  // February never has a 30th, so only markers come back, one step at a time.
+  assert.deepEqual(take('FREQ=DAILY;BYMONTH=2;BYMONTHDAY=30', '2023-10-01 09:00:00', 3), [null, null, null]);
+});
+
+test('invalid rules and durations are rejected', () => {
+  assert.throws(() => parseRecurrenceRule('BYDAY=MO', 'q[0].rrule'), /q\[0\]\.rrule must set FREQ/);
+  assert.throws(() => parseRecurrenceRule('FREQ=HOURLY'), /FREQ must be one of/);
+  assert.throws(() => parseRecurrenceRule('FREQ=WEEKLY;BYDAY=1MO'), /ordinals need FREQ=MONTHLY/);
+  assert.throws(() => parseRecurrenceRule('FREQ=DAILY;COUNT=2;UNTIL=20240101'), /both COUNT and UNTIL/);
+  assert.throws(() => parseRecurrenceRule('FREQ=DAILY;BYSETPOS=1'), /BYSETPOS is not supported/);
+  assert.throws(() => parseDuration('P1M'), /ISO 8601 duration/);
+  assert.throws(() => parseDuration('PT0S'), /longer than zero/);
+  assert.equal(parseDuration('P1W2DT3H'), ((7 + 2) * 24 + 3) * 3600);
+});
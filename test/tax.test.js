@@ -0,0 +1,71 @@
+/*
+Test type: Unit tests
+Validation to be executed: Income-tax slabs, standard deduction, 87A rebate with marginal relief, cess, NPS deduction limits and withdrawal-tax rules
+Command with necessary arguments for execution: npm test
+*/
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  resolveTaxTable,
+  computeIncomeTax,
+  npsDeductions,
+  resolveWithdrawalRule,
+  equityWithdrawalTax
+} from '../src/tax.js';
+
+test('new regime FY2025-26 rebates tax up to 12 lakh taxable income', () => {
+  const table = resolveTaxTable('new', '2025-26');
+  const result = computeIncomeTax(1_275_000, table);
+
+  assert.equal(result.taxableIncome, 1_200_000);
+  assert.equal(result.slabTax, 60_000);
+  assert.equal(result.total, 0);
+});
+
+test('new regime rebate marginal relief caps tax at income above the limit', () => {
+  const table = resolveTaxTable('new', '2025-26');
+  const result = computeIncomeTax(1_300_000, table);
+
+  assert.equal(result.slabTax, 63_750);
+  assert.equal(result.rebate, 38_750);
+  assert.equal(result.total, 26_000);
+});
+
+test('old regime applies slabs, standard deduction and 4% cess', () => {
+  const table = resolveTaxTable('old', '2024-25');
+  const result = computeIncomeTax(1_050_000, table);
+
+  assert.equal(result.taxableIncome, 1_000_000);
+  assert.equal(result.slabTax, 112_500);
+  assert.equal(result.total, 117_000);
+});
+
+test('NPS deductions fill 80CCD(1B) first, then the remaining 80C headroom', () => {
+  const oldRegime = resolveTaxTable('old', '2024-25');
+
+  assert.deepEqual(npsDeductions(120_000, 1_200_000, oldRegime, 100_000), {
+    section80CCD1B: 50_000,
+    section80CCD1: 50_000,
+    total: 100_000
+  });
+  assert.equal(npsDeductions(120_000, 1_200_000, resolveTaxTable('new', '2024-25')).total, 0);
+});
+
+test('unknown regimes and fiscal years are rejected', () => {
+  assert.throws(() => resolveTaxTable('flat'), /taxRegime/);
+  assert.throws(() => resolveTaxTable('old', '2001-02'), /fiscalYear/);
+});
+
+test('withdrawal rules are picked by effective date', () => {
+  assert.equal(resolveWithdrawalRule('2020-01-01').equityLtcg.rate, 0.10);
+  assert.equal(resolveWithdrawalRule('2024-07-23').equityLtcg.exemption, 125_000);
+  assert.equal(resolveWithdrawalRule('2018-06-30').nps.taxFreeLumpSumShare, 0.40);
+});
+
+test('equity LTCG is charged only above the yearly exemption', () => {
+  const rule = resolveWithdrawalRule('2030-01-01');
+
+  assert.equal(equityWithdrawalTax(100_000, rule), 0);
+  assert.equal(equityWithdrawalTax(225_000, rule), 13_000);
+});